@@ -4,15 +4,19 @@ let currentScheme = [];
 
 // Tab Navigation
 document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-        
-        btn.classList.add('active');
-        document.getElementById(btn.dataset.tab).classList.add('active');
-    });
+    btn.addEventListener('click', () => activateTab(btn.dataset.tab));
 });
 
+function activateTab(tabId) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tabId));
+    document.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('active', c.id === tabId));
+    
+    if (tabId === 'library') {
+        renderLibrary();
+    }
+    scheduleUrlStateSync();
+}
+
 // Color Extractor
 const uploadArea = document.getElementById('uploadArea');
 const imageInput = document.getElementById('imageInput');
@@ -20,6 +24,11 @@ const imagePreview = document.getElementById('imagePreview');
 const uploadedImage = document.getElementById('uploadedImage');
 const extractBtn = document.getElementById('extractBtn');
 const paletteResults = document.getElementById('paletteResults');
+const extractAlgorithm = document.getElementById('extractAlgorithm');
+const mergeThreshold = document.getElementById('mergeThreshold');
+const mergeThresholdValue = document.getElementById('mergeThresholdValue');
+const extractProgress = document.getElementById('extractProgress');
+const extractProgressBar = document.getElementById('extractProgressBar');
 
 uploadArea.addEventListener('click', () => imageInput.click());
 uploadArea.addEventListener('dragover', (e) => {
@@ -29,23 +38,69 @@ uploadArea.addEventListener('dragover', (e) => {
 uploadArea.addEventListener('dragleave', () => {
     uploadArea.classList.remove('dragover');
 });
-uploadArea.addEventListener('drop', (e) => {
+uploadArea.addEventListener('drop', async (e) => {
     e.preventDefault();
     uploadArea.classList.remove('dragover');
-    const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('image/')) {
-        handleImageUpload(file);
+    try {
+        handleImageFiles(await getDroppedFiles(e.dataTransfer));
+    } catch (err) {
+        showToast('Could not read the dropped files: ' + err.message);
     }
 });
 
 imageInput.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file) {
-        handleImageUpload(file);
-    }
+    handleImageFiles(Array.from(e.target.files));
+    imageInput.value = '';
 });
 
+function handleImageFiles(files) {
+    const images = files.filter(file => file.type.startsWith('image/'));
+    
+    if (images.length === 1) {
+        handleImageUpload(images[0]);
+    } else if (images.length > 1) {
+        handleBatchUpload(images);
+    }
+}
+
+// Dropped folders only show up as directory entries, so walk them for files
+async function getDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (!items.length || typeof items[0].webkitGetAsEntry !== 'function') {
+        return Array.from(dataTransfer.files);
+    }
+    
+    const readEntry = async (entry) => {
+        if (entry.isFile) {
+            return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+        }
+        
+        const reader = entry.createReader();
+        const files = [];
+        let batch;
+        // readEntries() returns at most 100 entries per call
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                files.push(...await readEntry(child));
+            }
+        } while (batch.length > 0);
+        return files;
+    };
+    
+    // Entries must be taken synchronously, before the drop event finishes
+    const entries = items.map(item => item.webkitGetAsEntry()).filter(Boolean);
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await readEntry(entry));
+    }
+    return files;
+}
+
 function handleImageUpload(file) {
+    cancelExtraction();
+    clearBatch();
+    
     const reader = new FileReader();
     reader.onload = (e) => {
         uploadedImage.src = e.target.result;
@@ -56,468 +111,3620 @@ function handleImageUpload(file) {
 }
 
 extractBtn.addEventListener('click', () => {
-    extractColors(uploadedImage);
+    if (batchEntries.length > 0) {
+        runBatchExtraction();
+    } else {
+        extractColors(uploadedImage);
+    }
 });
 
-function extractColors(imgElement) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = imgElement.naturalWidth;
-    canvas.height = imgElement.naturalHeight;
+mergeThreshold.addEventListener('input', () => {
+    mergeThresholdValue.textContent = mergeThreshold.value;
+});
+
+function getExtractionOptions() {
+    return {
+        algorithm: extractAlgorithm.value,
+        colorCount: 10,
+        mergeThreshold: Number(mergeThreshold.value),
+        sampleStep: 10 // Sample every 10th pixel for performance
+    };
+}
+
+function toPaletteColors(sortedColors) {
+    return sortedColors.map(c => {
+        const hex = rgbToHex(c.r, c.g, c.b, c.a);
+        return { hex, rgb: formatColor(hex, 'rgb'), percent: c.percent };
+    });
+}
+
+async function extractColors(imgElement) {
+    let sortedColors;
     
-    ctx.drawImage(imgElement, 0, 0);
+    try {
+        sortedColors = await runExtraction(imgElement, getExtractionOptions());
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            showToast('Color extraction failed: ' + err.message);
+        }
+        return;
+    }
     
-    // Resize for faster processing if image is large
-    if (canvas.width * canvas.height > 250000) {
-        const scale = Math.sqrt(250000 / (canvas.width * canvas.height));
-        canvas.width = Math.floor(canvas.width * scale);
-        canvas.height = Math.floor(canvas.height * scale);
-        ctx.drawImage(imgElement, 0, 0, canvas.width, canvas.height);
-    }
-    
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
-    const colorMap = {};
-    
-    // Sample every 10th pixel for performance
-    for (let i = 0; i < imageData.length; i += 40) {
-        const r = imageData[i];
-        const g = imageData[i + 1];
-        const b = imageData[i + 2];
-        const alpha = imageData[i + 3];
-        
-        if (alpha < 128) continue; // Skip transparent pixels
-        
-        // Quantize colors to reduce noise
-        const qr = Math.round(r / 16) * 16;
-        const qg = Math.round(g / 16) * 16;
-        const qb = Math.round(b / 16) * 16;
-        
-        const key = `${qr},${qg},${qb}`;
-        colorMap[key] = (colorMap[key] || 0) + 1;
+    if (sortedColors.length === 0) {
+        showToast('No opaque pixels found in this image!');
+        return;
     }
     
-    // Sort by frequency
-    const sortedColors = Object.entries(colorMap)
-        .sort((a, b) => b[1] - a[1])
-        .map(([color, count]) => {
-            const [r, g, b] = color.split(',').map(Number);
-            return { r, g, b, count };
-        });
+    showExtractedPalette(toPaletteColors(sortedColors));
+    recordHistory('palette', `Extracted colors (${extractAlgorithm.options[extractAlgorithm.selectedIndex].text})`);
+}
+
+function showExtractedPalette(colors, scroll = true) {
+    // Copy so later edits don't leak into region or history snapshots
+    extractedColors = colors.map(c => Object.assign({}, c));
     
     // Get dominant color
-    const dominant = sortedColors[0];
-    const dominantHex = rgbToHex(dominant.r, dominant.g, dominant.b);
-    
-    // Get top 10 colors
-    extractedColors = sortedColors.slice(0, 10).map(c => ({
-        hex: rgbToHex(c.r, c.g, c.b),
-        rgb: `rgb(${c.r}, ${c.g}, ${c.b})`
-    }));
+    const dominant = colors[0];
     
-    displayDominantColor(dominantHex);
+    displayDominantColor(dominant.hex, dominant.percent);
     displayColorGrid(extractedColors);
     paletteResults.style.display = 'block';
     
     // Scroll to results
-    paletteResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
-}
-
-function rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map(x => {
-        const hex = x.toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
-}
-
-function getContrastColor(hex) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-    return luminance > 0.5 ? '#000000' : '#ffffff';
+    if (scroll) {
+        paletteResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
 }
 
-function displayDominantColor(hex) {
-    const dominantEl = document.getElementById('dominantColor');
-    dominantEl.style.background = hex;
-    dominantEl.style.color = getContrastColor(hex);
-    dominantEl.innerHTML = `
-        <div style="text-align: center;">
-            <div style="font-size: 2rem; margin-bottom: 10px;">🎯</div>
-            <div>${hex.toUpperCase()}</div>
-            <div style="font-size: 0.9rem; opacity: 0.8; margin-top: 5px;">Dominant</div>
-        </div>
-    `;
-}
+// Extraction runs in extract-worker.js when possible. The source can be an
+// <img> or a canvas (used for regions). Only one job runs at a time: starting
+// a new one, or loading a new image, cancels the previous job.
+let extractionWorker = null;
+let extractionWorkerFailed = false;
+let extractionJob = null;
+let extractionJobId = 0;
 
-function displayColorGrid(colors) {
-    const grid = document.getElementById('colorGrid');
-    grid.innerHTML = '';
+function runExtraction(source, options) {
+    cancelExtraction();
     
-    colors.forEach((color, index) => {
-        const item = document.createElement('div');
-        item.className = 'color-item';
-        item.onclick = () => copyToClipboard(color.hex);
+    return new Promise((resolve, reject) => {
+        const job = { id: ++extractionJobId, source, options, resolve, reject };
+        extractionJob = job;
+        setExtractionProgress(0);
         
-        item.innerHTML = `
-            <div class="color-swatch" style="background: ${color.hex}"></div>
-            <div class="color-info">
-                <div class="color-hex">${color.hex.toUpperCase()}</div>
-                <div class="color-rgb">${color.rgb}</div>
-            </div>
-        `;
+        const worker = getExtractionWorker();
+        if (!worker) {
+            runExtractionInline(job);
+            return;
+        }
         
-        grid.appendChild(item);
+        postExtractionJob(worker, job).catch(err => finishExtraction(job, err));
     });
 }
 
-// Color Scheme Generator
-const baseColor = document.getElementById('baseColor');
-const baseColorHex = document.getElementById('baseColorHex');
-const schemeType = document.getElementById('schemeType');
-const generateBtn = document.getElementById('generateBtn');
-const schemeGrid = document.getElementById('schemeGrid');
-const schemeInfo = document.getElementById('schemeInfo');
-
-baseColor.addEventListener('input', () => {
-    baseColorHex.textContent = baseColor.value.toUpperCase();
-});
-
-generateBtn.addEventListener('click', () => {
-    generateScheme();
-});
-
-function hexToHsl(hex) {
-    let r = parseInt(hex.slice(1, 3), 16) / 255;
-    let g = parseInt(hex.slice(3, 5), 16) / 255;
-    let b = parseInt(hex.slice(5, 7), 16) / 255;
+function cancelExtraction() {
+    if (!extractionJob) return;
     
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-    
-    if (max === min) {
-        h = s = 0;
-    } else {
-        const d = max - min;
-        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-        
-        switch (max) {
-            case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-            case g: h = ((b - r) / d + 2) / 6; break;
-            case b: h = ((r - g) / d + 4) / 6; break;
-        }
+    // The worker is busy in a synchronous loop, so terminating is the only way to stop it
+    if (extractionWorker) {
+        extractionWorker.terminate();
+        extractionWorker = null;
     }
     
-    return { h: h * 360, s: s * 100, l: l * 100 };
+    const err = new Error('Extraction cancelled');
+    err.name = 'AbortError';
+    finishExtraction(extractionJob, err);
 }
 
-function hslToHex(h, s, l) {
-    s /= 100;
-    l /= 100;
+function finishExtraction(job, err, colors) {
+    if (job !== extractionJob) return;
     
-    const a = s * Math.min(l, 1 - l);
-    const f = n => {
-        const k = (n + h / 30) % 12;
-        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-        return Math.round(255 * color).toString(16).padStart(2, '0');
-    };
+    extractionJob = null;
+    setExtractionProgress(null);
     
-    return `#${f(0)}${f(8)}${f(4)}`;
+    if (err) {
+        job.reject(err);
+    } else {
+        job.resolve(colors);
+    }
 }
 
-function generateScheme() {
-    const hex = baseColor.value;
-    const hsl = hexToHsl(hex);
-    const type = schemeType.value;
-    
-    currentScheme = [];
+function getExtractionWorker() {
+    if (extractionWorker || extractionWorkerFailed) return extractionWorker;
+    if (typeof Worker === 'undefined') return null;
     
-    switch (type) {
-        case 'complementary':
-            currentScheme = [
-                { hex, name: 'Base' },
-                { hex: hslToHex((hsl.h + 180) % 360, hsl.s, hsl.l), name: 'Complementary' }
-            ];
-            break;
-            
-        case 'analogous':
-            currentScheme = [
-                { hex: hslToHex((hsl.h - 30 + 360) % 360, hsl.s, hsl.l), name: 'Analogous 1' },
-                { hex: hslToHex((hsl.h - 15 + 360) % 360, hsl.s, hsl.l), name: 'Analogous 2' },
-                { hex, name: 'Base' },
-                { hex: hslToHex((hsl.h + 15) % 360, hsl.s, hsl.l), name: 'Analogous 3' },
-                { hex: hslToHex((hsl.h + 30) % 360, hsl.s, hsl.l), name: 'Analogous 4' }
-            ];
-            break;
-            
-        case 'triadic':
-            currentScheme = [
-                { hex, name: 'Primary' },
-                { hex: hslToHex((hsl.h + 120) % 360, hsl.s, hsl.l), name: 'Secondary' },
-                { hex: hslToHex((hsl.h + 240) % 360, hsl.s, hsl.l), name: 'Tertiary' }
-            ];
-            break;
-            
-        case 'tetradic':
-            currentScheme = [
-                { hex, name: 'Primary' },
-                { hex: hslToHex((hsl.h + 90) % 360, hsl.s, hsl.l), name: 'Secondary' },
-                { hex: hslToHex((hsl.h + 180) % 360, hsl.s, hsl.l), name: 'Tertiary' },
-                { hex: hslToHex((hsl.h + 270) % 360, hsl.s, hsl.l), name: 'Quaternary' }
-            ];
-            break;
-            
-        case 'monochromatic':
-            currentScheme = [
-                { hex: hslToHex(hsl.h, hsl.s, 20), name: 'Dark' },
-                { hex: hslToHex(hsl.h, hsl.s, 40), name: 'Medium Dark' },
-                { hex, name: 'Base' },
-                { hex: hslToHex(hsl.h, hsl.s, 70), name: 'Medium Light' },
-                { hex: hslToHex(hsl.h, hsl.s, 90), name: 'Light' }
-            ];
-            break;
-            
-        case 'split-complementary':
-            currentScheme = [
-                { hex, name: 'Base' },
-                { hex: hslToHex((hsl.h + 150) % 360, hsl.s, hsl.l), name: 'Split 1' },
-                { hex: hslToHex((hsl.h + 210) % 360, hsl.s, hsl.l), name: 'Split 2' }
-            ];
-            break;
+    try {
+        extractionWorker = new Worker('extract-worker.js');
+    } catch (err) {
+        // Some browsers refuse workers on file:// pages
+        extractionWorkerFailed = true;
+        return null;
     }
     
-    displayScheme(currentScheme);
-    updateSchemeInfo(type);
+    extractionWorker.addEventListener('message', (e) => {
+        const job = extractionJob;
+        if (!job || e.data.id !== job.id) return;
+        
+        switch (e.data.type) {
+            case 'progress':
+                setExtractionProgress(e.data.value);
+                break;
+            case 'result':
+                finishExtraction(job, null, e.data.colors);
+                break;
+            case 'error':
+                finishExtraction(job, new Error(e.data.message));
+                break;
+        }
+    });
+    
+    // The script failed to load: fall back to the main thread from now on
+    extractionWorker.addEventListener('error', (e) => {
+        e.preventDefault();
+        extractionWorker.terminate();
+        extractionWorker = null;
+        extractionWorkerFailed = true;
+        
+        if (extractionJob) {
+            runExtractionInline(extractionJob);
+        }
+    });
+    
+    return extractionWorker;
 }
 
-function displayScheme(scheme) {
-    schemeGrid.innerHTML = '';
+async function postExtractionJob(worker, job) {
+    const options = Object.assign({ maxPixels: DEFAULT_QUANTIZE_OPTIONS.maxPixels }, job.options);
     
-    scheme.forEach(color => {
-        const item = document.createElement('div');
-        item.className = 'scheme-item';
-        item.onclick = () => copyToClipboard(color.hex);
-        
-        item.innerHTML = `
-            <div class="scheme-swatch" style="background: ${color.hex}"></div>
-            <div class="scheme-name">
-                <div style="color: ${color.hex};">${color.name}</div>
-                <div style="font-size: 0.8rem; color: #6c757d;">${color.hex.toUpperCase()}</div>
-            </div>
-        `;
+    if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+        const bitmap = await createImageBitmap(job.source);
+        if (job !== extractionJob) {
+            bitmap.close();
+            return;
+        }
+        worker.postMessage({ id: job.id, bitmap, options }, [bitmap]);
+    } else {
+        const imageData = getImageData(job.source, options.maxPixels);
+        worker.postMessage({ id: job.id, imageData, options }, [imageData.data.buffer]);
+    }
+}
+
+function runExtractionInline(job) {
+    // Give the progress bar a frame to paint before blocking the thread
+    setTimeout(() => {
+        if (job !== extractionJob) return;
         
-        schemeGrid.appendChild(item);
-    });
+        try {
+            const imageData = getImageData(job.source, job.options.maxPixels || DEFAULT_QUANTIZE_OPTIONS.maxPixels);
+            finishExtraction(job, null, quantizePixels(imageData.data, job.options));
+        } catch (err) {
+            finishExtraction(job, err);
+        }
+    }, 30);
 }
 
-function updateSchemeInfo(type) {
-    const info = {
-        'complementary': 'Uses two colors that are opposite each other on the color wheel.',
-        'analogous': 'Uses colors that are next to each other on the color wheel.',
-        'triadic': 'Uses three colors that are evenly spaced on the color wheel.',
-        'tetradic': 'Uses four colors that form a rectangle on the color wheel.',
-        'monochromatic': 'Uses variations of a single color hue.',
-        'split-complementary': 'Uses a base color and two colors adjacent to its complementary.'
-    };
+function getImageData(source, maxPixels) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
     
-    schemeInfo.innerHTML = `
-        <h4>📝 ${type.charAt(0).toUpperCase() + type.slice(1)} Scheme</h4>
-        <p style="color: #6c757d; margin-top: 10px;">${info[type]}</p>
-    `;
+    // Resize for faster processing if image is large
+    const size = fitPixelBudget(source.naturalWidth || source.width, source.naturalHeight || source.height, maxPixels);
+    canvas.width = size.width;
+    canvas.height = size.height;
+    
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
 }
 
-// Export Functions
-function exportPalette(format) {
-    if (extractedColors.length === 0) {
-        showToast('No colors extracted yet!');
+function setExtractionProgress(value) {
+    if (value === null) {
+        extractProgress.style.display = 'none';
+        extractBtn.textContent = 'Extract Colors';
         return;
     }
     
-    let content = '';
-    const colors = extractedColors.map(c => c.hex);
+    extractProgress.style.display = 'block';
+    extractProgressBar.style.width = `${Math.round(value * 100)}%`;
+    extractBtn.textContent = `Extracting… ${Math.round(value * 100)}%`;
+}
+
+// Batch extraction
+// Every image is extracted in turn with the current settings, then the
+// per-image palettes are merged into one palette with equal weight per image.
+const batchResults = document.getElementById('batchResults');
+const batchTable = document.getElementById('batchTable');
+
+let batchEntries = [];
+let batchRunId = 0;
+
+function handleBatchUpload(files) {
+    cancelExtraction();
+    clearBatch();
     
-    switch (format) {
-        case 'css':
-            content = colors.map((c, i) => `  --color-${i + 1}: ${c};`).join('\n');
-            content = `:root {\n${content}\n}`;
-            break;
-            
-        case 'scss':
-            content = colors.map((c, i) => `$color-${i + 1}: ${c};`).join('\n');
-            break;
-            
-        case 'json':
-            content = JSON.stringify(colors, null, 2);
-            break;
-    }
+    batchEntries = files.map(file => ({
+        name: file.name,
+        url: URL.createObjectURL(file),
+        colors: null,
+        error: null
+    }));
     
-    downloadFile(content, `palette.${format}`, format === 'json' ? 'application/json' : 'text/plain');
-    showToast(`Palette exported as ${format.toUpperCase()}!`);
+    imagePreview.style.display = 'none';
+    extractBtn.disabled = false;
+    runBatchExtraction();
 }
 
-function exportScheme(format) {
-    if (currentScheme.length === 0) {
-        showToast('No scheme generated yet!');
-        return;
-    }
+function clearBatch() {
+    batchRunId++;
+    batchEntries.forEach(entry => URL.revokeObjectURL(entry.url));
+    batchEntries = [];
+    batchResults.style.display = 'none';
+}
+
+async function runBatchExtraction() {
+    const runId = ++batchRunId;
+    const options = getExtractionOptions();
     
-    let content = '';
+    batchEntries.forEach(entry => {
+        entry.colors = null;
+        entry.error = null;
+    });
+    renderBatchTable([]);
+    batchResults.style.display = 'block';
     
-    switch (format) {
-        case 'css':
-            content = currentScheme.map((c, i) => `  --${c.name.toLowerCase().replace(' ', '-')}: ${c.hex};`).join('\n');
-            content = `:root {\n${content}\n}`;
-            break;
-            
-        case 'scss':
-            content = currentScheme.map(c => `$${c.name.toLowerCase().replace(' ', '-')}: ${c.hex};`).join('\n');
-            break;
-            
-        case 'json':
-            content = JSON.stringify(currentScheme.map(c => ({ name: c.name, hex: c.hex })), null, 2);
-            break;
+    for (const entry of batchEntries) {
+        try {
+            const img = await loadImage(entry.url);
+            if (runId !== batchRunId) return;
+            entry.colors = await runExtraction(img, options);
+        } catch (err) {
+            if (err.name === 'AbortError' || runId !== batchRunId) return;
+            entry.error = err.message || 'Could not read image';
+        }
+        renderBatchTable([]);
+    }
+    
+    const palettes = batchEntries.filter(e => e.colors && e.colors.length > 0).map(e => e.colors);
+    if (palettes.length === 0) {
+        showToast('No colors could be extracted from these images!');
+        return;
     }
     
-    downloadFile(content, `scheme.${format}`, format === 'json' ? 'application/json' : 'text/plain');
-    showToast(`Scheme exported as ${format.toUpperCase()}!`);
+    const merged = mergePalettes(palettes, options);
+    renderBatchTable(merged);
+    showExtractedPalette(toPaletteColors(merged));
+    recordHistory('palette', `Merged ${palettes.length} images`);
+    showToast(`Merged palette from ${palettes.length} images`);
 }
 
-function downloadFile(content, filename, type) {
-    const blob = new Blob([content], { type });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not read image'));
+        img.src = url;
+    });
 }
 
-// Previewer
-const previewColor = document.getElementById('previewColor');
-const previewColorHex = document.getElementById('previewColorHex');
-const bgColor = document.getElementById('bgColor');
-const bgColorHex = document.getElementById('bgColorHex');
-const previewType = document.getElementById('previewType');
-const previewWrapper = document.getElementById('previewWrapper');
+// Rows are images; once the merged palette exists, each column shows how much
+// of an image maps to that merged color
+function renderBatchTable(merged) {
+    const header = merged.map(c => {
+        const hex = rgbToHex(c.r, c.g, c.b, c.a);
+        return `<th><span class="batch-swatch" style="background: ${swatchBackground(hex)}" title="${hex.toUpperCase()}"></span>${formatPercent(c.percent)}</th>`;
+    }).join('');
+    
+    const rows = batchEntries.map(entry => {
+        let palette = '<span class="region-pending">Waiting…</span>';
+        let cells = merged.map(() => '<td>–</td>').join('');
+        
+        if (entry.error) {
+            palette = `<span class="batch-error">${escapeHtml(entry.error)}</span>`;
+        } else if (entry.colors) {
+            palette = entry.colors.map(c => {
+                const hex = rgbToHex(c.r, c.g, c.b, c.a);
+                return `<span style="background: ${swatchBackground(hex)}; flex: ${c.percent}" title="${hex.toUpperCase()} · ${formatPercent(c.percent)}"></span>`;
+            }).join('');
+            if (merged.length > 0) {
+                cells = paletteShare(entry.colors, merged)
+                    .map(share => `<td>${share > 0 ? formatPercent(share) : '–'}</td>`)
+                    .join('');
+            }
+        }
+        
+        return `
+            <tr>
+                <td class="batch-image"><img src="${entry.url}" alt=""><span>${escapeHtml(entry.name)}</span></td>
+                <td><div class="batch-palette">${palette}</div></td>
+                ${cells}
+            </tr>
+        `;
+    }).join('');
+    
+    batchTable.innerHTML = `
+        <thead>
+            <tr><th>Image</th><th>Palette</th>${header}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
 
-previewColor.addEventListener('input', () => {
-    previewColorHex.textContent = previewColor.value.toUpperCase();
-    updatePreview();
+// Regions of interest
+// Regions are stored in natural image pixels so they survive resizing and can
+// be re-extracted whenever the algorithm settings change.
+const imageTool = document.getElementById('imageTool');
+const pickerSizeGroup = document.getElementById('pickerSizeGroup');
+const regionCanvas = document.getElementById('regionCanvas');
+const regionList = document.getElementById('regionList');
+const reextractRegionsBtn = document.getElementById('reextractRegionsBtn');
+const regionCtx = regionCanvas.getContext('2d');
+
+let imageRegions = [];
+let regionIdCounter = 0;
+let regionDraft = null;
+
+uploadedImage.addEventListener('load', () => {
+    imageRegions = [];
+    renderRegionList();
+    resizeRegionCanvas();
 });
 
-bgColor.addEventListener('input', () => {
-    bgColorHex.textContent = bgColor.value.toUpperCase();
-    updatePreview();
+window.addEventListener('resize', resizeRegionCanvas);
+
+imageTool.addEventListener('change', () => {
+    regionCanvas.classList.toggle('drawing', imageTool.value !== 'none');
+    pickerSizeGroup.style.display = imageTool.value === 'eyedropper' ? 'block' : 'none';
 });
 
-previewType.addEventListener('change', () => {
-    updatePreview();
+regionCanvas.addEventListener('pointerdown', (e) => {
+    if (imageTool.value !== 'rect' && imageTool.value !== 'lasso') return;
+    
+    regionCanvas.setPointerCapture(e.pointerId);
+    const point = toImagePoint(e);
+    regionDraft = { type: imageTool.value, start: point, points: [point] };
 });
 
-function updatePreview() {
-    const primaryColor = previewColor.value;
-    const background = bgColor.value;
-    const textColor = getContrastColor(background);
-    const buttonText = getContrastColor(primaryColor);
-    
-    previewWrapper.style.background = background;
-    
-    const title = previewWrapper.querySelector('.preview-title');
-    const text = previewWrapper.querySelector('.preview-text');
-    const button = previewWrapper.querySelector('.preview-button');
-    const card = previewWrapper.querySelector('.preview-card');
-    
-    title.style.color = primaryColor;
-    text.style.color = textColor;
-    button.style.background = primaryColor;
-    button.style.color = buttonText;
-    card.style.background = background === '#ffffff' ? '#f8f9fa' : 'rgba(255,255,255,0.1)';
-    card.querySelector('h3').style.color = textColor;
-    card.querySelector('p').style.color = textColor;
-    
-    // Update preview type
-    previewWrapper.className = 'preview-wrapper';
-    
-    switch (previewType.value) {
-        case 'mobile':
-            previewWrapper.classList.add('mobile-preview');
-            break;
-        default:
-            previewWrapper.classList.add('web-preview');
+regionCanvas.addEventListener('pointermove', (e) => {
+    if (!regionDraft) return;
+    
+    const point = toImagePoint(e);
+    if (regionDraft.type === 'rect') {
+        regionDraft.points = [regionDraft.start, point];
+    } else {
+        regionDraft.points.push(point);
     }
-}
+    drawRegions();
+});
 
-// Contrast Checker
-const fgColor = document.getElementById('fgColor');
-const fgColorHex = document.getElementById('fgColorHex');
+regionCanvas.addEventListener('pointerup', () => {
+    if (!regionDraft) return;
+    
+    const region = createRegion(regionDraft);
+    regionDraft = null;
+    
+    if (region) {
+        imageRegions.push(region);
+        renderRegionList();
+        extractRegion(region);
+    } else {
+        drawRegions();
+    }
+});
+
+reextractRegionsBtn.addEventListener('click', async () => {
+    for (const region of imageRegions) {
+        if (!await extractRegion(region, false)) return;
+    }
+    showToast('Regions re-extracted!');
+});
+
+function resizeRegionCanvas() {
+    regionCanvas.width = uploadedImage.clientWidth;
+    regionCanvas.height = uploadedImage.clientHeight;
+    drawRegions();
+}
+
+function toImagePoint(e) {
+    const rect = regionCanvas.getBoundingClientRect();
+    const scaleX = uploadedImage.naturalWidth / rect.width;
+    const scaleY = uploadedImage.naturalHeight / rect.height;
+    
+    return {
+        x: Math.max(0, Math.min(uploadedImage.naturalWidth, Math.round((e.clientX - rect.left) * scaleX))),
+        y: Math.max(0, Math.min(uploadedImage.naturalHeight, Math.round((e.clientY - rect.top) * scaleY)))
+    };
+}
+
+function createRegion(draft) {
+    const xs = draft.points.map(p => p.x);
+    const ys = draft.points.map(p => p.y);
+    const bounds = {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+    };
+    
+    // Ignore clicks and tiny accidental drags
+    if (bounds.width < 4 || bounds.height < 4 || (draft.type === 'lasso' && draft.points.length < 3)) {
+        return null;
+    }
+    
+    regionIdCounter++;
+    return {
+        id: regionIdCounter,
+        name: `Region ${regionIdCounter}`,
+        type: draft.type,
+        bounds,
+        points: draft.type === 'lasso' ? draft.points : null,
+        palette: null,
+        settings: null
+    };
+}
+
+// Crop (and for lassos, mask) the region onto a canvas; masked pixels stay
+// transparent so the quantizer skips them
+function getRegionCanvas(region) {
+    const { x, y, width, height } = region.bounds;
+    const size = fitPixelBudget(width, height, DEFAULT_QUANTIZE_OPTIONS.maxPixels);
+    const scale = size.width / width;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    canvas.width = size.width;
+    canvas.height = size.height;
+    
+    if (region.points) {
+        ctx.beginPath();
+        region.points.forEach((p, i) => {
+            const px = (p.x - x) * scale;
+            const py = (p.y - y) * scale;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+        ctx.clip();
+    }
+    
+    ctx.drawImage(uploadedImage, x, y, width, height, 0, 0, size.width, size.height);
+    return canvas;
+}
+
+// Resolves to false when the extraction was cancelled or failed; the region
+// is then marked so the list offers a retry instead of "Extracting…"
+async function extractRegion(region, show = true) {
+    const options = getExtractionOptions();
+    let sortedColors;
+    
+    region.failed = false;
+    try {
+        sortedColors = await runExtraction(getRegionCanvas(region), options);
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            showToast('Color extraction failed: ' + err.message);
+        }
+        region.failed = true;
+        renderRegionList();
+        return false;
+    }
+    
+    region.palette = toPaletteColors(sortedColors);
+    region.settings = options;
+    renderRegionList();
+    
+    if (show && region.palette.length > 0) {
+        showExtractedPalette(region.palette);
+        recordHistory('palette', `Extracted ${region.name}`);
+    }
+    return true;
+}
+
+function drawRegions() {
+    const scaleX = regionCanvas.width / (uploadedImage.naturalWidth || 1);
+    const scaleY = regionCanvas.height / (uploadedImage.naturalHeight || 1);
+    
+    const tracePath = (type, points) => {
+        regionCtx.beginPath();
+        if (type === 'rect') {
+            const [a, b] = points;
+            regionCtx.rect(a.x * scaleX, a.y * scaleY, (b.x - a.x) * scaleX, (b.y - a.y) * scaleY);
+        } else {
+            points.forEach((p, i) => {
+                if (i === 0) regionCtx.moveTo(p.x * scaleX, p.y * scaleY);
+                else regionCtx.lineTo(p.x * scaleX, p.y * scaleY);
+            });
+            regionCtx.closePath();
+        }
+    };
+    
+    regionCtx.clearRect(0, 0, regionCanvas.width, regionCanvas.height);
+    regionCtx.lineWidth = 2;
+    regionCtx.font = 'bold 12px sans-serif';
+    
+    imageRegions.forEach(region => {
+        const { x, y, width, height } = region.bounds;
+        const points = region.points || [{ x, y }, { x: x + width, y: y + height }];
+        
+        tracePath(region.type, points);
+        regionCtx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        regionCtx.fill();
+        regionCtx.strokeStyle = '#667eea';
+        regionCtx.setLineDash([]);
+        regionCtx.stroke();
+        
+        regionCtx.fillStyle = '#667eea';
+        regionCtx.fillText(region.name, x * scaleX + 4, y * scaleY + 14);
+    });
+    
+    if (regionDraft && regionDraft.points.length > 1) {
+        tracePath(regionDraft.type, regionDraft.points);
+        regionCtx.strokeStyle = '#764ba2';
+        regionCtx.setLineDash([6, 4]);
+        regionCtx.stroke();
+    }
+}
+
+function renderRegionList() {
+    regionList.innerHTML = '';
+    reextractRegionsBtn.disabled = imageRegions.length === 0;
+    
+    imageRegions.forEach(region => {
+        const { x, y, width, height } = region.bounds;
+        const item = document.createElement('div');
+        item.className = 'region-item';
+        
+        const swatches = region.palette
+            ? region.palette.map(c => `<span class="region-swatch" style="background: ${c.hex}" title="${c.hex.toUpperCase()}"></span>`).join('')
+            : `<span class="region-pending">${region.failed ? 'Not extracted, click Extract to retry' : 'Extracting…'}</span>`;
+        
+        item.innerHTML = `
+            <div class="region-header">
+                <strong>${region.name}</strong>
+                <span class="region-bounds">${region.type === 'rect' ? 'Rectangle' : 'Lasso'} · ${width}×${height}px at (${x}, ${y})${region.settings ? ` · ${region.settings.algorithm}` : ''}</span>
+                <button class="region-action" data-action="extract">Extract</button>
+                <button class="region-action" data-action="delete">✕</button>
+            </div>
+            <div class="region-palette" title="Show this palette">${swatches}</div>
+        `;
+        
+        item.querySelector('[data-action="extract"]').onclick = () => extractRegion(region);
+        item.querySelector('[data-action="delete"]').onclick = () => {
+            imageRegions = imageRegions.filter(r => r !== region);
+            renderRegionList();
+        };
+        item.querySelector('.region-palette').onclick = () => {
+            if (region.palette && region.palette.length > 0) {
+                showExtractedPalette(region.palette);
+                recordHistory('palette', `Showed ${region.name}`);
+            }
+        };
+        
+        regionList.appendChild(item);
+    });
+    
+    drawRegions();
+}
+
+// Eyedropper
+const pickerSize = document.getElementById('pickerSize');
+const pickerLoupe = document.getElementById('pickerLoupe');
+const screenPickerBtn = document.getElementById('screenPickerBtn');
+const loupeCtx = pickerLoupe.getContext('2d');
+const LOUPE_PIXELS = 11;
+const LOUPE_ZOOM = 10;
+
+// Full-resolution copy of the uploaded image, drawn lazily for sampling
+let pickerPixels = null;
+
+uploadedImage.addEventListener('load', () => {
+    pickerPixels = null;
+});
+
+if ('EyeDropper' in window) {
+    screenPickerBtn.style.display = 'inline-block';
+    screenPickerBtn.addEventListener('click', async () => {
+        try {
+            const result = await new EyeDropper().open();
+            addPickedColor(result.sRGBHex);
+        } catch (err) {
+            // The user pressed Escape
+        }
+    });
+}
+
+regionCanvas.addEventListener('pointermove', (e) => {
+    if (imageTool.value !== 'eyedropper') return;
+    
+    const point = toImagePoint(e);
+    drawLoupe(point);
+    
+    const rect = regionCanvas.getBoundingClientRect();
+    pickerLoupe.style.display = 'block';
+    pickerLoupe.style.left = `${e.clientX - rect.left + 20}px`;
+    pickerLoupe.style.top = `${e.clientY - rect.top + 20}px`;
+});
+
+regionCanvas.addEventListener('pointerleave', () => {
+    pickerLoupe.style.display = 'none';
+});
+
+regionCanvas.addEventListener('click', (e) => {
+    if (imageTool.value !== 'eyedropper') return;
+    
+    const c = samplePixel(toImagePoint(e), Number(pickerSize.value));
+    addPickedColor(rgbToHex(c.r, c.g, c.b, c.a));
+});
+
+function getPickerPixels() {
+    if (!pickerPixels) {
+        const canvas = document.createElement('canvas');
+        canvas.width = uploadedImage.naturalWidth;
+        canvas.height = uploadedImage.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(uploadedImage, 0, 0);
+        pickerPixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    return pickerPixels;
+}
+
+// Average the size×size block centered on the point, clipped to the image
+function samplePixel(point, size) {
+    const { data, width, height } = getPickerPixels();
+    const half = Math.floor(size / 2);
+    const cx = Math.min(point.x, width - 1);
+    const cy = Math.min(point.y, height - 1);
+    let r = 0, g = 0, b = 0, a = 0, n = 0;
+    
+    for (let y = Math.max(0, cy - half); y <= Math.min(height - 1, cy + half); y++) {
+        for (let x = Math.max(0, cx - half); x <= Math.min(width - 1, cx + half); x++) {
+            const i = (y * width + x) * 4;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+            a += data[i + 3];
+            n++;
+        }
+    }
+    
+    return { r: Math.round(r / n), g: Math.round(g / n), b: Math.round(b / n), a: Math.round(a / n) / 255 };
+}
+
+function drawLoupe(point) {
+    const { data, width, height } = getPickerPixels();
+    const half = Math.floor(LOUPE_PIXELS / 2);
+    const size = Number(pickerSize.value);
+    
+    pickerLoupe.width = LOUPE_PIXELS * LOUPE_ZOOM;
+    pickerLoupe.height = LOUPE_PIXELS * LOUPE_ZOOM + 20;
+    loupeCtx.fillStyle = '#ffffff';
+    loupeCtx.fillRect(0, 0, pickerLoupe.width, pickerLoupe.height);
+    
+    for (let dy = -half; dy <= half; dy++) {
+        for (let dx = -half; dx <= half; dx++) {
+            const x = point.x + dx;
+            const y = point.y + dy;
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+            
+            const i = (y * width + x) * 4;
+            loupeCtx.fillStyle = `rgba(${data[i]}, ${data[i + 1]}, ${data[i + 2]}, ${data[i + 3] / 255})`;
+            loupeCtx.fillRect((dx + half) * LOUPE_ZOOM, (dy + half) * LOUPE_ZOOM, LOUPE_ZOOM, LOUPE_ZOOM);
+        }
+    }
+    
+    // Outline the sampled area
+    const offset = (half - Math.floor(size / 2)) * LOUPE_ZOOM;
+    loupeCtx.strokeStyle = '#ffffff';
+    loupeCtx.lineWidth = 2;
+    loupeCtx.strokeRect(offset, offset, size * LOUPE_ZOOM, size * LOUPE_ZOOM);
+    loupeCtx.strokeStyle = '#000000';
+    loupeCtx.lineWidth = 1;
+    loupeCtx.strokeRect(offset - 1.5, offset - 1.5, size * LOUPE_ZOOM + 3, size * LOUPE_ZOOM + 3);
+    
+    const c = samplePixel(point, size);
+    const hex = rgbToHex(c.r, c.g, c.b, c.a);
+    loupeCtx.fillStyle = hex;
+    loupeCtx.fillRect(0, LOUPE_PIXELS * LOUPE_ZOOM, pickerLoupe.width, 20);
+    loupeCtx.fillStyle = getContrastColor(hex);
+    loupeCtx.font = 'bold 12px sans-serif';
+    loupeCtx.textAlign = 'center';
+    loupeCtx.fillText(hex.toUpperCase(), pickerLoupe.width / 2, LOUPE_PIXELS * LOUPE_ZOOM + 14);
+}
+
+function addPickedColor(hex) {
+    hex = hex.toLowerCase();
+    if (extractedColors.some(c => c.hex === hex)) {
+        showToast(`${hex.toUpperCase()} is already in the palette`);
+        return;
+    }
+    
+    extractedColors.push({ hex, rgb: formatColor(hex, 'rgb'), picked: true });
+    
+    if (paletteResults.style.display === 'none') {
+        displayDominantColor(extractedColors[0].hex, extractedColors[0].percent);
+        paletteResults.style.display = 'block';
+    }
+    displayColorGrid(extractedColors);
+    recordHistory('palette', `Picked ${hex.toUpperCase()}`);
+    showToast(`Picked: ${hex.toUpperCase()}`);
+}
+
+// Text color for a swatch; translucent swatches are judged over the white page
+function getContrastColor(hex) {
+    const { r, g, b } = hexToRgb(compositeOver(hex, '#ffffff'));
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    return luminance > 0.5 ? '#000000' : '#ffffff';
+}
+
+// Translucent colors are drawn over a checkerboard so their alpha is visible
+function swatchBackground(hex) {
+    if (hexToRgb(hex).a >= 1) {
+        return hex;
+    }
+    return `linear-gradient(${hex}, ${hex}), repeating-conic-gradient(#dee2e6 0% 25%, #ffffff 0% 50%) 0 0 / 16px 16px`;
+}
+
+function formatPercent(percent) {
+    return percent < 1 ? '<1%' : `${Math.round(percent)}%`;
+}
+
+function displayDominantColor(hex, percent) {
+    const dominantEl = document.getElementById('dominantColor');
+    dominantEl.style.background = swatchBackground(hex);
+    dominantEl.style.color = getContrastColor(hex);
+    dominantEl.innerHTML = `
+        <div style="text-align: center;">
+            <div style="font-size: 2rem; margin-bottom: 10px;">🎯</div>
+            <div>${hex.toUpperCase()}</div>
+            <div style="font-size: 0.9rem; opacity: 0.8; margin-top: 5px;">Dominant${percent !== undefined ? ` · ${formatPercent(percent)}` : ''}</div>
+        </div>
+    `;
+}
+
+function displayColorGrid(colors) {
+    const grid = document.getElementById('colorGrid');
+    grid.innerHTML = '';
+    
+    colors.forEach((color, index) => {
+        const item = document.createElement('div');
+        item.className = 'color-item';
+        item.onclick = () => copyToClipboard(color.hex);
+        
+        item.innerHTML = `
+            <div class="color-swatch" style="background: ${swatchBackground(color.hex)}"></div>
+            <div class="color-info">
+                <div class="color-hex">${color.hex.toUpperCase()}</div>
+                <div class="color-rgb">${color.rgb}</div>
+                ${color.percent !== undefined ? `<div class="color-percent">${formatPercent(color.percent)}</div>` : ''}
+                ${color.picked ? '<div class="color-percent">Picked</div>' : ''}
+            </div>
+        `;
+        item.querySelector('.color-info').appendChild(createColorFormats(color.hex));
+        
+        grid.appendChild(item);
+    });
+    
+    updateCvdReport('palette', colors);
+    scheduleUrlStateSync();
+}
+
+// Color Scheme Generator
+const baseColor = document.getElementById('baseColor');
+const baseColorHex = document.getElementById('baseColorHex');
+const schemeType = document.getElementById('schemeType');
+const generateBtn = document.getElementById('generateBtn');
+const schemeGrid = document.getElementById('schemeGrid');
+const schemeInfo = document.getElementById('schemeInfo');
+const schemeSpace = document.getElementById('schemeSpace');
+const schemeCompare = document.getElementById('schemeCompare');
+const shuffleBtn = document.getElementById('shuffleBtn');
+const tonalControls = document.getElementById('tonalControls');
+const tonalSteps = document.getElementById('tonalSteps');
+const tonalCurve = document.getElementById('tonalCurve');
+const tonalHueShift = document.getElementById('tonalHueShift');
+const tonalChromaEasing = document.getElementById('tonalChromaEasing');
+
+baseColor.addEventListener('input', () => {
+    baseColorHex.textContent = baseColor.value.toUpperCase();
+    scheduleUrlStateSync();
+});
+
+schemeType.addEventListener('change', () => {
+    updateTonalControls();
+    scheduleUrlStateSync();
+});
+
+// Tonal sliders show their value while dragging and regenerate on release
+[tonalCurve, tonalHueShift, tonalChromaEasing].forEach(input => {
+    input.addEventListener('input', () => {
+        document.getElementById(input.id + 'Value').textContent = input.value;
+    });
+});
+
+[tonalSteps, tonalCurve, tonalHueShift, tonalChromaEasing].forEach(input => {
+    input.addEventListener('change', () => {
+        if (currentScheme.length > 0 && schemeType.value === 'tonal') {
+            generateScheme();
+        }
+    });
+});
+
+schemeCompare.addEventListener('change', () => {
+    if (currentScheme.length === 0) return;
+    
+    if (schemeCompare.checked && schemeType.value !== 'tonal') {
+        displaySchemeComparison(baseColor.value, schemeType.value);
+    } else {
+        displayScheme(currentScheme);
+    }
+});
+
+generateBtn.addEventListener('click', () => {
+    generateScheme();
+});
+
+shuffleBtn.addEventListener('click', () => {
+    shuffleScheme();
+});
+
+// Spacebar shuffles the unlocked colors, unless a control has focus
+document.addEventListener('keydown', (e) => {
+    if (e.code !== 'Space' || e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    const activeTab = document.querySelector('.tab-btn.active');
+    if (!activeTab || activeTab.dataset.tab !== 'generator') return;
+    
+    const el = document.activeElement;
+    if (el && ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(el.tagName)) return;
+    
+    e.preventDefault();
+    shuffleScheme();
+});
+
+// Perceived lightness used for the monochromatic stops when generating in OKLCH
+const OKLCH_MONO_STOPS = { 20: 0.3, 40: 0.48, 70: 0.78, 90: 0.93 };
+
+function generateScheme() {
+    const hex = baseColor.value;
+    const type = schemeType.value;
+    const space = schemeSpace.value;
+    
+    currentScheme = keepLockedColors(buildScheme(hex, type, space), currentScheme);
+    
+    if (schemeCompare.checked && type !== 'tonal') {
+        displaySchemeComparison(hex, type);
+    } else {
+        displayScheme(currentScheme);
+    }
+    updateSchemeInfo(type, space);
+    recordHistory('scheme', `${schemeType.options[schemeType.selectedIndex].text} from ${hex.toUpperCase()}${space === 'oklch' && type !== 'tonal' ? ' (OKLCH)' : ''}`);
+}
+
+// Hue rotations and lightness stops are the same in both spaces; OKLCH keeps
+// the base color's perceived lightness and chroma, HSL its saturation and lightness
+function buildScheme(hex, type, space = 'hsl') {
+    const hsl = hexToHsl(hex);
+    const base = hexToRgb(hex);
+    const lch = rgbToOklch(base.r, base.g, base.b);
+    
+    const oklchHex = (l, c, h) => {
+        const rgb = oklchToRgb(l, c, h);
+        return rgbToHex(rgb.r, rgb.g, rgb.b);
+    };
+    const rotate = degrees => space === 'oklch'
+        ? oklchHex(lch.l, lch.c, (lch.h + degrees + 360) % 360)
+        : hslToHex((hsl.h + degrees + 360) % 360, hsl.s, hsl.l);
+    const withLightness = stop => space === 'oklch'
+        ? oklchHex(OKLCH_MONO_STOPS[stop], lch.c, lch.h)
+        : hslToHex(hsl.h, hsl.s, stop);
+    
+    switch (type) {
+        case 'complementary':
+            return [
+                { hex, name: 'Base' },
+                { hex: rotate(180), name: 'Complementary' }
+            ];
+            
+        case 'analogous':
+            return [
+                { hex: rotate(-30), name: 'Analogous 1' },
+                { hex: rotate(-15), name: 'Analogous 2' },
+                { hex, name: 'Base' },
+                { hex: rotate(15), name: 'Analogous 3' },
+                { hex: rotate(30), name: 'Analogous 4' }
+            ];
+            
+        case 'triadic':
+            return [
+                { hex, name: 'Primary' },
+                { hex: rotate(120), name: 'Secondary' },
+                { hex: rotate(240), name: 'Tertiary' }
+            ];
+            
+        case 'tetradic':
+            return [
+                { hex, name: 'Primary' },
+                { hex: rotate(90), name: 'Secondary' },
+                { hex: rotate(180), name: 'Tertiary' },
+                { hex: rotate(270), name: 'Quaternary' }
+            ];
+            
+        case 'monochromatic':
+            return [
+                { hex: withLightness(20), name: 'Dark' },
+                { hex: withLightness(40), name: 'Medium Dark' },
+                { hex, name: 'Base' },
+                { hex: withLightness(70), name: 'Medium Light' },
+                { hex: withLightness(90), name: 'Light' }
+            ];
+            
+        case 'split-complementary':
+            return [
+                { hex, name: 'Base' },
+                { hex: rotate(150), name: 'Split 1' },
+                { hex: rotate(210), name: 'Split 2' }
+            ];
+        
+        case 'tonal':
+            return buildTonalScale(hex, getTonalOptions());
+    }
+    
+    return [];
+}
+
+// Locked colors stay at their position when a scheme is regenerated, even with
+// a different scheme type; any that fall past the end of the new scheme are appended
+function keepLockedColors(scheme, previous) {
+    const result = scheme.slice();
+    
+    previous.forEach((color, i) => {
+        if (!color.locked) return;
+        
+        if (i < result.length) {
+            result[i] = Object.assign({}, color);
+        } else {
+            result.push(Object.assign({}, color));
+        }
+    });
+    
+    return result;
+}
+
+// Random base hue with a moderate saturation and lightness, so shuffled
+// schemes stay usable
+function shuffleScheme() {
+    const hex = hslToHex(
+        Math.round(Math.random() * 360),
+        Math.round(45 + Math.random() * 40),
+        Math.round(40 + Math.random() * 25)
+    );
+    
+    setColorInput(baseColor, baseColorHex, hex);
+    generateScheme();
+}
+
+// Tonal scales
+const TONAL_STEP_NAMES = {
+    10: ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'],
+    11: ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'],
+    12: ['25', '50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950']
+};
+const TONAL_LIGHTEST = 0.97;
+const TONAL_DARKEST = 0.25;
+
+function getTonalOptions() {
+    return {
+        steps: Number(tonalSteps.value),
+        curve: Number(tonalCurve.value),
+        hueShift: Number(tonalHueShift.value),
+        chromaEasing: Number(tonalChromaEasing.value) / 100
+    };
+}
+
+function updateTonalControls() {
+    tonalControls.style.display = schemeType.value === 'tonal' ? 'flex' : 'none';
+}
+
+// Lightness runs from TONAL_LIGHTEST to TONAL_DARKEST along t^curve, built in
+// OKLCH around the base color. The step nearest the base keeps its exact hex;
+// hue drifts by up to `hueShift` degrees toward the ends (lighter steps one
+// way, darker the other) and chroma eases off by `chromaEasing` at the extremes.
+function buildTonalScale(hex, { steps, curve, hueShift, chromaEasing }) {
+    const names = TONAL_STEP_NAMES[steps] || TONAL_STEP_NAMES[11];
+    const rgb = hexToRgb(hex);
+    const base = rgbToOklch(rgb.r, rgb.g, rgb.b);
+    const range = TONAL_LIGHTEST - TONAL_DARKEST;
+    const lightnessAt = t => TONAL_LIGHTEST - range * Math.pow(t, curve);
+    
+    const baseT = Math.pow(Math.min(1, Math.max(0, (TONAL_LIGHTEST - base.l) / range)), 1 / curve);
+    const reach = Math.max(baseT, 1 - baseT) || 1;
+    
+    const positions = names.map((name, i) => i / (names.length - 1));
+    const baseIndex = positions.reduce((best, t, i) => (
+        Math.abs(lightnessAt(t) - base.l) < Math.abs(lightnessAt(positions[best]) - base.l) ? i : best
+    ), 0);
+    
+    return names.map((name, i) => {
+        if (i === baseIndex) {
+            return { hex, name };
+        }
+        
+        const t = positions[i];
+        const distance = (t - baseT) / reach;
+        const c = base.c * (1 - chromaEasing * distance * distance);
+        const h = (base.h - hueShift * distance + 360) % 360;
+        const step = oklchToRgb(lightnessAt(t), Math.max(0, c), h);
+        return { hex: rgbToHex(step.r, step.g, step.b), name };
+    });
+}
+
+function displayScheme(scheme) {
+    schemeGrid.innerHTML = '';
+    
+    scheme.forEach((color, index) => {
+        schemeGrid.appendChild(createEditableSchemeItem(color, index));
+    });
+    
+    updateCvdReport('scheme', scheme);
+    scheduleUrlStateSync();
+}
+
+// Click the swatch to edit it, the lock to keep it when regenerating, the name
+// to copy it; drag items to reorder the scheme
+function createEditableSchemeItem(color, index) {
+    const item = createSchemeItem(color);
+    item.onclick = null;
+    item.draggable = true;
+    item.classList.toggle('locked', Boolean(color.locked));
+    
+    const swatch = item.querySelector('.scheme-swatch');
+    swatch.title = 'Click to edit';
+    swatch.innerHTML = `
+        <input type="color" class="scheme-edit-input" value="${color.hex.slice(0, 7)}" tabindex="-1">
+        <button class="scheme-lock" title="${color.locked ? 'Unlock' : 'Lock (kept when regenerating)'}">${color.locked ? '🔒' : '🔓'}</button>
+    `;
+    
+    const picker = swatch.querySelector('.scheme-edit-input');
+    swatch.onclick = () => picker.click();
+    picker.onclick = e => e.stopPropagation();
+    // The picker has no alpha, so an edited color keeps the original's
+    picker.addEventListener('input', () => {
+        swatch.style.background = swatchBackground(picker.value + color.hex.slice(7));
+    });
+    picker.addEventListener('change', () => {
+        currentScheme[index] = Object.assign({}, currentScheme[index], { hex: picker.value + color.hex.slice(7) });
+        displayScheme(currentScheme);
+        recordHistory('scheme', `Edited ${color.name}`);
+    });
+    
+    swatch.querySelector('.scheme-lock').onclick = (e) => {
+        e.stopPropagation();
+        currentScheme[index] = Object.assign({}, currentScheme[index], { locked: !color.locked });
+        displayScheme(currentScheme);
+    };
+    
+    item.querySelector('.scheme-name').onclick = () => copyToClipboard(color.hex);
+    
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', String(index));
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => {
+        item.classList.remove('dragging');
+    });
+    item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        item.classList.add('drag-over');
+    });
+    item.addEventListener('dragleave', () => {
+        item.classList.remove('drag-over');
+    });
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        item.classList.remove('drag-over');
+        moveSchemeColor(Number(e.dataTransfer.getData('text/plain')), index);
+    });
+    
+    return item;
+}
+
+function moveSchemeColor(from, to) {
+    if (from === to || !currentScheme[from]) return;
+    
+    const [color] = currentScheme.splice(from, 1);
+    currentScheme.splice(to, 0, color);
+    displayScheme(currentScheme);
+    recordHistory('scheme', `Moved ${color.name}`);
+}
+
+function createSchemeItem(color, showLightness = false) {
+    const item = document.createElement('div');
+    item.className = 'scheme-item';
+    item.onclick = () => copyToClipboard(color.hex);
+    
+    let lightness = '';
+    if (showLightness) {
+        const rgb = hexToRgb(color.hex);
+        const lch = rgbToOklch(rgb.r, rgb.g, rgb.b);
+        lightness = `<div class="scheme-lightness">L ${(lch.l * 100).toFixed(0)} · C ${(lch.c * 100).toFixed(0)}</div>`;
+    }
+    
+    const onWhite = getContrastRatio(color.hex, '#ffffff');
+    const onBlack = getContrastRatio(color.hex, '#000000');
+    
+    item.innerHTML = `
+        <div class="scheme-swatch" style="background: ${swatchBackground(color.hex)}"></div>
+        <div class="scheme-name">
+            <div style="color: ${escapeHtml(color.hex)};">${escapeHtml(color.name)}</div>
+            <div style="font-size: 0.8rem; color: #6c757d;">${color.hex.toUpperCase()}</div>
+            ${lightness}
+            <div class="scheme-contrast">
+                <span class="${onWhite >= 4.5 ? 'pass' : 'fail'}" title="Contrast against white">○ ${onWhite.toFixed(2)}</span>
+                <span class="${onBlack >= 4.5 ? 'pass' : 'fail'}" title="Contrast against black">● ${onBlack.toFixed(2)}</span>
+            </div>
+        </div>
+    `;
+    item.querySelector('.scheme-name').appendChild(createColorFormats(color.hex));
+    
+    return item;
+}
+
+// HSL and OKLCH versions of the same scheme, one row each, with the OKLCH
+// lightness/chroma of every swatch so the difference is measurable
+function displaySchemeComparison(hex, type) {
+    schemeGrid.innerHTML = '';
+    
+    [['hsl', 'HSL'], ['oklch', 'OKLCH']].forEach(([space, label]) => {
+        const heading = document.createElement('h4');
+        heading.className = 'scheme-compare-heading' + (space === schemeSpace.value ? ' active' : '');
+        heading.textContent = label + (space === schemeSpace.value ? ' (current)' : '');
+        schemeGrid.appendChild(heading);
+        
+        buildScheme(hex, type, space).forEach(color => {
+            schemeGrid.appendChild(createSchemeItem(color, true));
+        });
+    });
+    
+    scheduleUrlStateSync();
+}
+
+function updateSchemeInfo(type, space = 'hsl') {
+    const info = {
+        'complementary': 'Uses two colors that are opposite each other on the color wheel.',
+        'analogous': 'Uses colors that are next to each other on the color wheel.',
+        'triadic': 'Uses three colors that are evenly spaced on the color wheel.',
+        'tetradic': 'Uses four colors that form a rectangle on the color wheel.',
+        'monochromatic': 'Uses variations of a single color hue.',
+        'split-complementary': 'Uses a base color and two colors adjacent to its complementary.',
+        'tonal': 'A design-system ramp from the lightest to the darkest shade of the base color, built in OKLCH. The base color is kept at the step closest to its lightness.'
+    };
+    
+    schemeInfo.innerHTML = `
+        <h4>📝 ${type.charAt(0).toUpperCase() + type.slice(1)} Scheme</h4>
+        <p style="color: #6c757d; margin-top: 10px;">${info[type]}</p>
+        ${space === 'oklch' && type !== 'tonal' ? '<p style="color: #6c757d; margin-top: 10px;">Generated in OKLCH: every color keeps the base color\'s perceived lightness and chroma. Colors outside sRGB are brought back into gamut by reducing chroma.</p>' : ''}
+    `;
+}
+
+// Export Functions
+// Buttons are generated from the EXPORTERS registry in exporters.js
+document.querySelectorAll('.export-buttons[data-export]').forEach(container => {
+    const exportFn = container.dataset.export === 'scheme' ? exportScheme : exportPalette;
+    
+    Object.entries(EXPORTERS).forEach(([format, exporter]) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = `Export ${exporter.label}`;
+        btn.addEventListener('click', () => exportFn(format));
+        container.appendChild(btn);
+    });
+});
+
+function exportPalette(format) {
+    if (extractedColors.length === 0) {
+        showToast('No colors extracted yet!');
+        return;
+    }
+    
+    const colors = extractedColors.map((c, i) => ({ name: `Color ${i + 1}`, hex: c.hex }));
+    exportColors(format, colors, { kind: 'palette', name: 'palette' })
+        .then(label => showToast(`Palette exported as ${label}!`))
+        .catch(err => showToast('Export failed: ' + err.message));
+}
+
+function exportScheme(format) {
+    if (currentScheme.length === 0) {
+        showToast('No scheme generated yet!');
+        return;
+    }
+    
+    const colors = currentScheme.map(c => ({ name: c.name, hex: c.hex }));
+    exportColors(format, colors, { kind: 'scheme', name: 'scheme' })
+        .then(label => showToast(`Scheme exported as ${label}!`))
+        .catch(err => showToast('Export failed: ' + err.message));
+}
+
+async function exportColors(format, colors, meta) {
+    const exporter = EXPORTERS[format];
+    const content = await exporter.build(colors, meta);
+    if (!content) {
+        throw new Error(`the ${exporter.label} file could not be created`);
+    }
+    
+    downloadFile(content, getExportFilename(exporter, meta.name), exporter.mimeType);
+    return exporter.label;
+}
+
+// Palette Import
+// One hidden file input serves both tabs; `data-import` says where the colors go
+const paletteImportInput = document.getElementById('paletteImportInput');
+let importTarget = 'palette';
+
+document.querySelectorAll('[data-import]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        importTarget = btn.dataset.import;
+        paletteImportInput.click();
+    });
+});
+
+paletteImportInput.addEventListener('change', async () => {
+    const file = paletteImportInput.files[0];
+    paletteImportInput.value = '';
+    if (!file) return;
+    
+    let result;
+    try {
+        result = await importPaletteFile(file);
+    } catch (err) {
+        showToast('Could not read file: ' + err.message);
+        return;
+    }
+    
+    showImportReport(importTarget, file.name, result);
+    
+    if (result.colors.length === 0) {
+        showToast('No colors found in ' + file.name);
+        return;
+    }
+    
+    loadPaletteInto(importTarget, result.colors, `Imported from ${file.name}`);
+    showToast(`Imported ${result.colors.length} colors from ${file.name}`);
+});
+
+// Load { name, hex } colors into the extractor results or the current scheme
+function loadPaletteInto(target, colors, label) {
+    if (target === 'scheme') {
+        currentScheme = colors.map(c => ({ hex: c.hex, name: c.name }));
+        displayScheme(currentScheme);
+        schemeInfo.innerHTML = `
+            <h4>📥 ${escapeHtml(label)}</h4>
+            <p style="color: #6c757d; margin-top: 10px;">${colors.length} colors loaded.</p>
+        `;
+        recordHistory('scheme', label);
+        return;
+    }
+    
+    showExtractedPalette(colors.map(c => ({ hex: c.hex, rgb: formatColor(c.hex, 'rgb') })));
+    recordHistory('palette', label);
+}
+
+function showImportReport(target, filename, result) {
+    const report = document.querySelector(`[data-import-report="${target}"]`);
+    
+    if (result.errors.length === 0) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    const shown = result.errors.slice(0, 20);
+    report.innerHTML = `
+        <h4>⚠️ ${result.errors.length} unparseable ${result.errors.length === 1 ? 'entry' : 'entries'} in ${escapeHtml(filename)}</h4>
+        <ul>
+            ${shown.map(err => `<li><strong>${typeof err.line === 'number' ? 'Line ' + err.line : escapeHtml(err.line)}:</strong> <code>${escapeHtml(err.text)}</code> – ${escapeHtml(err.reason)}</li>`).join('')}
+        </ul>
+        ${result.errors.length > shown.length ? `<p>…and ${result.errors.length - shown.length} more</p>` : ''}
+    `;
+    report.style.display = 'block';
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Previewer
+// The preview is colored by palette roles. Each role has its own picker and
+// can take any color of a palette loaded from the generator or extractor.
+// `minRatio` is the contrast a role needs against the surface: 4.5:1 for text,
+// 3:1 for UI components and large text.
+const PREVIEW_ROLES = {
+    primary: { label: 'Primary', fallback: '#3498db', minRatio: 3 },
+    secondary: { label: 'Secondary', fallback: '#8e44ad', minRatio: 3 },
+    accent: { label: 'Accent', fallback: '#e67e22', minRatio: 3 },
+    surface: { label: 'Surface', fallback: '#ffffff' },
+    text: { label: 'Text', fallback: '#2d3436', minRatio: 4.5 },
+    muted: { label: 'Muted', fallback: '#6c757d', minRatio: 4.5 },
+    success: { label: 'Success', fallback: '#27ae60', minRatio: 3 },
+    warning: { label: 'Warning', fallback: '#f39c12', minRatio: 3 },
+    error: { label: 'Error', fallback: '#e74c3c', minRatio: 3 }
+};
+
+const previewType = document.getElementById('previewType');
+const previewWrapper = document.getElementById('previewWrapper');
+const previewPaletteEl = document.getElementById('previewPalette');
+const roleGrid = document.getElementById('roleGrid');
+const roleInputs = {};
+let previewPalette = [];
+// { light, dark } roles once generated; the pickers edit the active one
+let themePair = null;
+let activeTheme = 'light';
+
+Object.entries(PREVIEW_ROLES).forEach(([role, def]) => {
+    const item = document.createElement('div');
+    item.className = 'role-item';
+    item.innerHTML = `
+        <input type="color" value="${def.fallback}" title="${def.label}">
+        <div class="role-details">
+            <strong>${def.label}</strong>
+            <span class="role-hex">${def.fallback.toUpperCase()}</span>
+            <select class="role-source"></select>
+        </div>
+        <span class="role-check"></span>
+    `;
+    
+    const input = item.querySelector('input');
+    input.addEventListener('input', () => {
+        syncRoleItem(role);
+        updatePreview();
+    });
+    item.querySelector('.role-source').addEventListener('change', e => {
+        if (!e.target.value) return;
+        input.value = e.target.value;
+        syncRoleItem(role);
+        updatePreview();
+    });
+    
+    roleInputs[role] = input;
+    roleGrid.appendChild(item);
+});
+
+previewType.addEventListener('change', () => {
+    updatePreview();
+});
+
+document.querySelectorAll('[data-preview-load]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const colors = btn.dataset.previewLoad === 'scheme' ? currentScheme : extractedColors;
+        if (colors.length === 0) {
+            showToast(btn.dataset.previewLoad === 'scheme' ? 'No scheme generated yet!' : 'No colors extracted yet!');
+            return;
+        }
+        loadPreviewPalette(colors.map(c => c.hex));
+        showToast('Roles assigned from the palette');
+    });
+});
+
+document.getElementById('autoAssignRolesBtn').addEventListener('click', () => {
+    if (previewPalette.length === 0) {
+        showToast('Load a scheme or palette first!');
+        return;
+    }
+    resetThemePair();
+    setPreviewRoles(autoAssignRoles(previewPalette));
+    updatePreview();
+});
+
+document.getElementById('exportThemeBtn').addEventListener('click', () => {
+    exportPreviewTheme(document.getElementById('themeExportMode').value);
+});
+
+document.getElementById('generateThemesBtn').addEventListener('click', () => {
+    themePair = buildThemePair(getPreviewRoles());
+    showPreviewTheme(getOklchLightness(getPreviewRoles().surface) < 0.5 ? 'dark' : 'light');
+    document.getElementById('themeSwitch').style.display = 'block';
+    showToast('Light and dark themes generated');
+});
+
+document.querySelectorAll('[data-theme-switch]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        themePair[activeTheme] = getPreviewRoles();
+        showPreviewTheme(btn.dataset.themeSwitch);
+    });
+});
+
+// Roles replaced from outside the pickers belong to neither generated theme
+function resetThemePair() {
+    themePair = null;
+    activeTheme = 'light';
+    document.getElementById('themeSwitch').style.display = 'none';
+}
+
+// Keep the hex label and palette dropdown of a role in step with its picker
+function syncRoleItem(role) {
+    const input = roleInputs[role];
+    const item = input.closest('.role-item');
+    const source = item.querySelector('.role-source');
+    
+    item.querySelector('.role-hex').textContent = input.value.toUpperCase();
+    source.innerHTML = '<option value="">Custom</option>' + previewPalette
+        .map((hex, i) => `<option value="${hex.slice(0, 7)}">${i + 1} · ${hex.toUpperCase()}</option>`)
+        .join('');
+    source.value = previewPalette.some(hex => hex.slice(0, 7) === input.value) ? input.value : '';
+}
+
+function getPreviewRoles() {
+    return Object.fromEntries(Object.keys(PREVIEW_ROLES).map(role => [role, roleInputs[role].value]));
+}
+
+// Roles left out keep their current color
+function setPreviewRoles(roles) {
+    Object.entries(roles).forEach(([role, hex]) => {
+        if (!roleInputs[role]) return;
+        roleInputs[role].value = hex.slice(0, 7);
+        syncRoleItem(role);
+    });
+}
+
+function loadPreviewPalette(hexes) {
+    previewPalette = hexes.slice();
+    previewPaletteEl.innerHTML = previewPalette
+        .map((hex, i) => `<span class="preview-chip" style="background: ${swatchBackground(hex)}; color: ${getContrastColor(hex)}" title="${hex.toUpperCase()}">${i + 1}</span>`)
+        .join('');
+    resetThemePair();
+    setPreviewRoles(autoAssignRoles(previewPalette));
+    updatePreview();
+}
+
+// Surface is the lightest color (or the darkest, for dark palettes) and text
+// the one with the most contrast on it. Primary is the most chromatic color
+// that is readable as a UI color, preferably not a status hue; the status roles
+// then take the nearest green, amber and red, secondary the next most
+// chromatic color and accent the hue furthest from primary. Anything the
+// palette can't fill falls back to the defaults, or for text and muted to
+// colors derived from the surface.
+function autoAssignRoles(palette) {
+    const colors = palette.map(hex => {
+        const { r, g, b } = hexToRgb(hex);
+        return Object.assign({ hex: hex.slice(0, 7) }, rgbToOklch(r, g, b));
+    });
+    const roles = Object.fromEntries(Object.entries(PREVIEW_ROLES).map(([role, def]) => [role, def.fallback]));
+    if (colors.length === 0) return roles;
+    
+    const byLightness = colors.slice().sort((a, b) => b.l - a.l);
+    const lightest = byLightness[0];
+    const darkest = byLightness[byLightness.length - 1];
+    const surfaceColor = lightest.l >= 0.85 ? lightest : darkest.l <= 0.25 ? darkest : null;
+    roles.surface = surfaceColor ? surfaceColor.hex : '#ffffff';
+    
+    const rest = colors.filter(c => c !== surfaceColor);
+    const contrast = c => getContrastRatio(c.hex, roles.surface);
+    const take = c => {
+        rest.splice(rest.indexOf(c), 1);
+        return c.hex;
+    };
+    const hueDistance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+    
+    const textColor = rest.slice().sort((a, b) => contrast(b) - contrast(a))[0];
+    roles.text = textColor && contrast(textColor) >= 7 ? take(textColor) : getContrastColor(roles.surface);
+    
+    const statusHues = [['success', 145], ['warning', 75], ['error', 25]];
+    const isStatusHue = c => statusHues.some(([, hue]) => hueDistance(c.h, hue) <= 30);
+    const chromatic = () => rest.filter(c => c.c >= 0.04).sort((a, b) => b.c - a.c);
+    const readableFirst = list => list.filter(c => contrast(c) >= 3).concat(list.filter(c => contrast(c) < 3));
+    
+    const primary = readableFirst(chromatic().filter(c => !isStatusHue(c)).concat(chromatic().filter(isStatusHue)))[0];
+    if (primary) roles.primary = take(primary);
+    
+    statusHues.forEach(([role, hue]) => {
+        const match = chromatic().filter(c => hueDistance(c.h, hue) <= 30)
+            .sort((a, b) => hueDistance(a.h, hue) - hueDistance(b.h, hue))[0];
+        if (match) roles[role] = take(match);
+    });
+    
+    const secondary = readableFirst(chromatic())[0];
+    if (secondary) roles.secondary = take(secondary);
+    
+    const primaryHue = hexToOklchHue(roles.primary);
+    const accent = readableFirst(chromatic().sort((a, b) => hueDistance(b.h, primaryHue) - hueDistance(a.h, primaryHue)))[0];
+    if (accent) roles.accent = take(accent);
+    
+    const muted = rest.filter(c => c.c < 0.04 && contrast(c) >= 4.5)[0];
+    roles.muted = muted ? take(muted) : deriveMutedColor(roles.text, roles.surface);
+    
+    return roles;
+}
+
+// Text faded toward the surface, but only as far as 4.5:1 allows
+function deriveMutedColor(text, surface) {
+    for (let alpha = 0.6; alpha < 1; alpha += 0.05) {
+        const muted = compositeOver(rgbToHex(...Object.values(hexToRgb(text)).slice(0, 3), alpha), surface);
+        if (getContrastRatio(muted, surface) >= 4.5) return muted;
+    }
+    return text;
+}
+
+function hexToOklchHue(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return rgbToOklch(r, g, b).h;
+}
+
+// Every role against the surface; the surface row shows the text contrast
+function renderRoleChecks(roles) {
+    Object.entries(PREVIEW_ROLES).forEach(([role, def]) => {
+        const check = roleInputs[role].closest('.role-item').querySelector('.role-check');
+        const against = role === 'surface' ? roles.text : roles[role];
+        const required = def.minRatio || PREVIEW_ROLES.text.minRatio;
+        const ratio = getContrastRatio(against, roles.surface);
+        const pass = ratio >= required;
+        
+        check.className = 'role-check ' + (pass ? 'pass' : 'fail');
+        check.textContent = `${pass ? '✓' : '✗'} ${ratio.toFixed(2)}:1`;
+        check.title = role === 'surface'
+            ? `Text on surface, needs ${required}:1`
+            : `${def.label} on surface, needs ${required}:1 (${required >= 4.5 ? 'text' : 'UI components and large text'})`;
+    });
+}
+
+// CSS custom properties for a theme, with a readable "on" color for every
+// role that is used as a fill and an elevated surface for cards and menus
+function getThemeVariables(roles) {
+    const variables = {};
+    Object.entries(roles).forEach(([role, hex]) => {
+        variables[`--color-${role}`] = hex;
+        if (role === 'surface') {
+            variables['--color-surface-elevated'] = getElevatedSurface(roles);
+        } else if (!['text', 'muted'].includes(role)) {
+            variables[`--color-on-${role}`] = getContrastColor(hex);
+        }
+    });
+    return variables;
+}
+
+// A step toward the text color: darker in light themes, lighter in dark ones
+function getElevatedSurface(roles) {
+    return compositeOver(roles.text.slice(0, 7) + '0d', roles.surface);
+}
+
+// Light and dark themes
+// The theme matching the current surface keeps the roles as they are; the
+// other one gets new surfaces and text built from their hues, and its colored
+// roles keep their hue (desaturated a little on dark surfaces) while moving in
+// lightness until they reach their contrast target. Both are then checked so
+// every role meets its PREVIEW_ROLES target.
+const DARK_THEME = { surface: 0.18, text: 0.93, chroma: 0.8 };
+const LIGHT_THEME = { surface: 0.985, text: 0.22, chroma: 1 };
+
+function buildThemePair(roles) {
+    const sourceIsDark = getOklchLightness(roles.surface) < 0.5;
+    const derived = deriveTheme(roles, sourceIsDark ? LIGHT_THEME : DARK_THEME);
+    const source = deriveTheme(roles, null);
+    
+    return sourceIsDark ? { light: derived, dark: source } : { light: source, dark: derived };
+}
+
+// With `target` null the roles are only checked and fixed for contrast
+function deriveTheme(roles, target) {
+    const theme = Object.assign({}, roles);
+    const toOklch = hex => {
+        const { r, g, b } = hexToRgb(hex);
+        return rgbToOklch(r, g, b);
+    };
+    const fromOklch = (l, c, h) => {
+        const rgb = oklchToRgb(l, c, h);
+        return rgbToHex(rgb.r, rgb.g, rgb.b);
+    };
+    
+    if (target) {
+        const surface = toOklch(roles.surface);
+        const text = toOklch(roles.text);
+        theme.surface = fromOklch(target.surface, Math.min(surface.c, 0.02), surface.h);
+        theme.text = fromOklch(target.text, Math.min(text.c, 0.03), text.h);
+        theme.muted = deriveMutedColor(theme.text, theme.surface);
+        
+        Object.keys(PREVIEW_ROLES).filter(role => !['surface', 'text', 'muted'].includes(role)).forEach(role => {
+            const color = toOklch(roles[role]);
+            theme[role] = fromOklch(color.l, color.c * target.chroma, color.h);
+        });
+    }
+    
+    Object.entries(PREVIEW_ROLES).forEach(([role, def]) => {
+        if (!def.minRatio || getContrastRatio(theme[role], theme.surface) >= def.minRatio) return;
+        const fix = findContrastFixes(theme[role], hex => getContrastRatio(hex, theme.surface), def.minRatio)[0];
+        if (fix) theme[role] = fix.hex;
+    });
+    
+    return theme;
+}
+
+function getOklchLightness(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return rgbToOklch(r, g, b).l;
+}
+
+function showPreviewTheme(theme) {
+    activeTheme = theme;
+    setPreviewRoles(themePair[theme]);
+    document.querySelectorAll('[data-theme-switch]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.themeSwitch === theme);
+    });
+    updatePreview();
+}
+
+// 'roles' exports the pickers as :root; 'media' and 'attribute' export the
+// light/dark pair with prefers-color-scheme or [data-theme] selectors
+function exportPreviewTheme(mode) {
+    if (mode !== 'roles' && !themePair) {
+        showToast('Generate light and dark themes first!');
+        return;
+    }
+    
+    let blocks;
+    if (mode === 'roles') {
+        blocks = [{ selector: ':root', variables: getThemeVariables(getPreviewRoles()) }];
+    } else {
+        themePair[activeTheme] = getPreviewRoles();
+        const light = getThemeVariables(themePair.light);
+        const dark = getThemeVariables(themePair.dark);
+        blocks = mode === 'media'
+            ? [
+                { selector: ':root', variables: Object.assign({ 'color-scheme': 'light dark' }, light) },
+                { media: '(prefers-color-scheme: dark)', selector: ':root', variables: dark }
+            ]
+            : [
+                { selector: ':root,\n[data-theme="light"]', variables: Object.assign({ 'color-scheme': 'light' }, light) },
+                { selector: '[data-theme="dark"]', variables: Object.assign({ 'color-scheme': 'dark' }, dark) }
+            ];
+    }
+    
+    downloadFile(buildThemeCss(blocks), 'theme.css', 'text/css');
+    showToast('Theme exported as CSS!');
+}
+
+// Templates only reference the --pv-* custom properties set by
+// applyPreviewRoles(), so switching template keeps the colors as they are
+function updatePreview() {
+    const roles = getPreviewRoles();
+    applyPreviewRoles(roles);
+    renderRoleChecks(roles);
+    
+    const type = PREVIEW_TEMPLATES[previewType.value] ? previewType.value : 'web';
+    if (previewWrapper.dataset.template !== type) {
+        previewWrapper.innerHTML = PREVIEW_TEMPLATES[type];
+        previewWrapper.dataset.template = type;
+    }
+    previewWrapper.className = 'preview-wrapper ' + (type === 'mobile' ? 'mobile-preview' : 'web-preview');
+    
+    customPreviewEditor.style.display = type === 'custom' ? 'block' : 'none';
+    if (type === 'custom') {
+        renderCustomPreview(roles);
+    }
+    
+    scheduleUrlStateSync();
+}
+
+// Each role becomes --pv-<role>, plus the colors components need around it:
+// readable text on it, hover/active shades, a subtle tint and a focus ring
+function applyPreviewRoles(roles) {
+    const style = previewWrapper.style;
+    const opaque = hex => hex.slice(0, 7);
+    
+    Object.entries(roles).forEach(([role, hex]) => {
+        style.setProperty(`--pv-${role}`, hex);
+    });
+    ['primary', 'secondary', 'accent', 'success', 'warning', 'error'].forEach(role => {
+        const hex = roles[role];
+        style.setProperty(`--pv-on-${role}`, getContrastColor(hex));
+        style.setProperty(`--pv-${role}-hover`, compositeOver('#0000001f', compositeOver(hex, roles.surface)));
+        style.setProperty(`--pv-${role}-active`, compositeOver('#0000003d', compositeOver(hex, roles.surface)));
+        style.setProperty(`--pv-${role}-subtle`, compositeOver(opaque(hex) + '26', roles.surface));
+        style.setProperty(`--pv-${role}-ring`, opaque(hex) + '66');
+    });
+    style.setProperty('--pv-surface-alt', getElevatedSurface(roles));
+    style.setProperty('--pv-border', compositeOver(opaque(roles.text) + '26', roles.surface));
+}
+
+const PREVIEW_TEMPLATES = {
+    web: `
+        <div class="preview-header">
+            <div class="preview-nav">
+                <div class="nav-dot"></div>
+                <div class="nav-dot"></div>
+                <div class="nav-dot"></div>
+            </div>
+        </div>
+        <nav class="pv-navbar">
+            <span class="pv-brand">Brand</span>
+            <a class="active">Home</a>
+            <a>Products</a>
+            <a>About</a>
+            <button class="pv-btn pv-btn-primary pv-btn-sm">Sign Up</button>
+        </nav>
+        <div class="preview-body">
+            <h2 class="preview-title">Your Heading</h2>
+            <p class="preview-text">This is a sample paragraph showing how your colors look in real content. Lorem ipsum dolor sit amet, <a class="pv-link">consectetur adipiscing</a> elit.</p>
+            <p class="pv-muted">Updated 2 hours ago · 4 min read</p>
+            <div class="pv-actions">
+                <button class="pv-btn pv-btn-primary">Get Started</button>
+                <button class="pv-btn pv-btn-secondary">Learn More</button>
+            </div>
+            <div class="preview-card">
+                <span class="pv-badge">New</span>
+                <h3>Card Title</h3>
+                <p>Card content goes here</p>
+            </div>
+        </div>
+    `,
+    mobile: `
+        <div class="pv-appbar">
+            <span>☰</span>
+            <strong>My App</strong>
+            <span>🔍</span>
+        </div>
+        <div class="preview-body">
+            <h2 class="preview-title">Good Morning</h2>
+            <p class="pv-muted">You have 3 new messages</p>
+            <ul class="pv-list">
+                <li><span class="pv-avatar">A</span><div><strong>Alex</strong><p class="pv-muted">Lunch tomorrow?</p></div><span class="pv-badge">2</span></li>
+                <li><span class="pv-avatar pv-avatar-accent">S</span><div><strong>Sam</strong><p class="pv-muted">Sent you the files</p></div><span class="pv-badge">1</span></li>
+                <li><span class="pv-avatar pv-avatar-secondary">J</span><div><strong>Jordan</strong><p class="pv-muted">See you there!</p></div></li>
+            </ul>
+            <button class="pv-btn pv-btn-primary pv-btn-block">New Message</button>
+        </div>
+        <div class="pv-tabbar">
+            <span class="active">🏠<small>Home</small></span>
+            <span>💬<small>Chats</small></span>
+            <span>⚙️<small>Settings</small></span>
+        </div>
+    `,
+    card: `
+        <div class="preview-body pv-card-grid">
+            ${['Mountains', 'Coastline', 'Forest'].map((title, i) => `
+                <div class="preview-card pv-card">
+                    <div class="pv-card-media pv-media-${i}"></div>
+                    <div class="pv-card-body">
+                        <span class="pv-badge">${['Popular', 'New', 'Sale'][i]}</span>
+                        <h3>${title}</h3>
+                        <p>A short description of this destination and what makes it worth the trip.</p>
+                        <p class="pv-muted">${3 + i} days · from $${420 + i * 150}</p>
+                    </div>
+                    <div class="pv-card-footer">
+                        <button class="pv-btn pv-btn-primary pv-btn-sm">Book</button>
+                        <a class="pv-link">Details</a>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `,
+    button: `
+        <div class="preview-body">
+            <table class="pv-state-table">
+                <thead>
+                    <tr><th></th><th>Default</th><th>Hover</th><th>Active</th><th>Focus</th><th>Disabled</th></tr>
+                </thead>
+                <tbody>
+                    ${['primary', 'secondary', 'outline', 'ghost'].map(variant => `
+                        <tr>
+                            <th>${variant.charAt(0).toUpperCase() + variant.slice(1)}</th>
+                            ${['', 'is-hover', 'is-active', 'is-focus'].map(state => `<td><button class="pv-btn pv-btn-${variant} ${state}">Button</button></td>`).join('')}
+                            <td><button class="pv-btn pv-btn-${variant}" disabled>Button</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="pv-actions">
+                <button class="pv-btn pv-btn-primary pv-btn-sm">Small</button>
+                <button class="pv-btn pv-btn-primary">Medium</button>
+                <button class="pv-btn pv-btn-primary pv-btn-lg">Large</button>
+                <button class="pv-btn pv-btn-accent">Accent</button>
+                <button class="pv-btn pv-btn-error">Delete</button>
+            </div>
+        </div>
+    `,
+    form: `
+        <div class="preview-body">
+            <form class="pv-form" onsubmit="return false">
+                <h2 class="preview-title">Create Account</h2>
+                <label>Name<input class="pv-input" value="Alex Morgan"></label>
+                <label>Email<input class="pv-input is-focus" value="alex@example"></label>
+                <label>Password<input class="pv-input is-invalid" type="password" value="secret"><span class="pv-error-text">Use at least 8 characters</span></label>
+                <label>Company<input class="pv-input" placeholder="Optional" disabled></label>
+                <label>Plan
+                    <select class="pv-input">
+                        <option>Free</option>
+                        <option>Pro</option>
+                    </select>
+                </label>
+                <div class="pv-choices">
+                    <label><input type="checkbox" checked> Send me updates</label>
+                    <label><input type="radio" name="pv-billing" checked> Monthly</label>
+                    <label><input type="radio" name="pv-billing"> Yearly</label>
+                    <label class="pv-toggle"><input type="checkbox" checked><span></span> Dark mode</label>
+                </div>
+                <p class="pv-muted">By signing up you agree to the <a class="pv-link">terms</a>.</p>
+                <div class="pv-actions">
+                    <button class="pv-btn pv-btn-primary">Sign Up</button>
+                    <button class="pv-btn pv-btn-ghost" type="button">Cancel</button>
+                </div>
+            </form>
+        </div>
+    `,
+    navbar: `
+        <nav class="pv-navbar pv-navbar-primary">
+            <span class="pv-brand">Brand</span>
+            <a class="active">Dashboard</a>
+            <a>Projects</a>
+            <a>Team</a>
+            <input class="pv-input pv-search" placeholder="Search…">
+            <span class="pv-avatar pv-avatar-accent">A</span>
+        </nav>
+        <nav class="pv-navbar">
+            <span class="pv-brand">Brand</span>
+            <a class="active">Overview</a>
+            <a>Reports</a>
+            <a>Settings</a>
+            <button class="pv-btn pv-btn-primary pv-btn-sm">Upgrade</button>
+        </nav>
+        <div class="preview-body">
+            <div class="pv-breadcrumb"><a class="pv-link">Home</a> / <a class="pv-link">Projects</a> / <span>Website Redesign</span></div>
+            <div class="pv-tabs">
+                <a class="active">Activity</a>
+                <a>Files <span class="pv-badge">12</span></a>
+                <a>Members</a>
+            </div>
+            <p class="preview-text">Tab content shows here, under the active tab.</p>
+            <div class="pv-pagination">
+                <a>‹</a><a class="active">1</a><a>2</a><a>3</a><a>›</a>
+            </div>
+        </div>
+    `,
+    custom: '<iframe class="preview-frame" sandbox title="Custom preview"></iframe>',
+    alerts: `
+        <div class="preview-body">
+            <div class="pv-alert pv-alert-primary"><strong>Info:</strong> A new version is available.</div>
+            <div class="pv-alert pv-alert-success"><strong>Success:</strong> Your changes were saved.</div>
+            <div class="pv-alert pv-alert-warning"><strong>Warning:</strong> Your trial ends in 3 days.</div>
+            <div class="pv-alert pv-alert-error"><strong>Error:</strong> The payment could not be processed.</div>
+            <div class="pv-actions">
+                <span class="pv-toast pv-toast-success">✓ Saved</span>
+                <span class="pv-toast pv-toast-warning">⚠ Unsaved changes</span>
+                <span class="pv-toast pv-toast-error">✗ Upload failed</span>
+            </div>
+            <div class="pv-progress"><span style="width: 65%"></span></div>
+            <p class="pv-muted">Uploading 13 of 20 files…</p>
+        </div>
+    `
+};
+
+// Custom preview
+// Your own HTML and CSS, rendered in a sandboxed iframe (no scripts, no access
+// to this page). The roles are injected as the --color-* variables of the theme
+// export, and each role can also be mapped to your own variable names.
+// Everything is kept in localStorage so the snippet survives reloads.
+const customPreviewEditor = document.getElementById('customPreviewEditor');
+const customHtml = document.getElementById('customHtml');
+const customCss = document.getElementById('customCss');
+const customVarGrid = document.getElementById('customVarGrid');
+const customVarInputs = {};
+
+const CUSTOM_PREVIEW_SAMPLE = `<main class="page">
+    <h1>Hello from your components</h1>
+    <p>Use <code>var(--color-primary)</code> and the other role variables in your CSS.</p>
+    <button class="button">Primary action</button>
+</main>`;
+const CUSTOM_PREVIEW_SAMPLE_CSS = `body { margin: 0; font-family: sans-serif; background: var(--color-surface); color: var(--color-text); }
+.page { padding: 30px; }
+h1 { color: var(--color-primary); }
+.button { padding: 10px 20px; border: none; border-radius: 8px; background: var(--color-primary); color: var(--color-on-primary); }`;
+
+customHtml.value = loadCustomPreviewSetting('customPreviewHtml', CUSTOM_PREVIEW_SAMPLE);
+customCss.value = loadCustomPreviewSetting('customPreviewCss', CUSTOM_PREVIEW_SAMPLE_CSS);
+const savedCustomVars = loadCustomVarMapping();
+
+Object.entries(PREVIEW_ROLES).forEach(([role, def]) => {
+    const label = document.createElement('label');
+    label.innerHTML = `<span>${def.label}</span><input type="text" placeholder="--my-${role}" spellcheck="false">`;
+    const input = label.querySelector('input');
+    input.value = savedCustomVars[role] || '';
+    input.addEventListener('change', () => {
+        saveCustomPreviewSetting('customPreviewVars', JSON.stringify(getCustomVarMapping()));
+        updatePreview();
+    });
+    customVarInputs[role] = input;
+    customVarGrid.appendChild(label);
+});
+
+[[customHtml, 'customPreviewHtml'], [customCss, 'customPreviewCss']].forEach(([textarea, key]) => {
+    textarea.addEventListener('change', () => {
+        saveCustomPreviewSetting(key, textarea.value);
+        updatePreview();
+    });
+});
+
+document.getElementById('customPreviewFile').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const target = /\.css$/i.test(file.name) ? customCss : customHtml;
+    target.value = await file.text();
+    target.dispatchEvent(new Event('change'));
+    showToast(`Loaded ${file.name}`);
+});
+
+// A corrupt stored mapping is ignored rather than breaking the page
+function loadCustomVarMapping() {
+    try {
+        const mapping = JSON.parse(loadCustomPreviewSetting('customPreviewVars', '{}'));
+        return mapping && typeof mapping === 'object' ? mapping : {};
+    } catch (err) {
+        return {};
+    }
+}
+
+// Blocked storage (cookies disabled, sandboxed pages) falls back to the samples
+function loadCustomPreviewSetting(key, fallback) {
+    try {
+        return localStorage.getItem(key) ?? fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+// Large uploads can exceed the storage quota; the preview still updates
+function saveCustomPreviewSetting(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (err) {
+        showToast('Could not save the custom preview: ' + err.message);
+    }
+}
+
+// { role: 'name, other-name' } as typed
+function getCustomVarMapping() {
+    return Object.fromEntries(Object.entries(customVarInputs)
+        .map(([role, input]) => [role, input.value.trim()])
+        .filter(([, names]) => names));
+}
+
+function renderCustomPreview(roles) {
+    const variables = getThemeVariables(roles);
+    Object.entries(getCustomVarMapping()).forEach(([role, names]) => {
+        names.split(/[\s,]+/).filter(Boolean).forEach(name => {
+            variables[name.startsWith('--') ? name : '--' + name] = roles[role];
+        });
+    });
+    
+    previewWrapper.querySelector('.preview-frame').srcdoc = buildCustomPreviewDoc(customHtml.value, customCss.value, variables);
+}
+
+// Full documents get the styles added to their <head>; fragments are wrapped
+function buildCustomPreviewDoc(html, css, variables) {
+    const declarations = Object.entries(variables).map(([name, value]) => `    ${name}: ${value};`).join('\n');
+    const style = `<style>\n:root {\n${declarations}\n}\n${css.replace(/<\/style/gi, '<\\/style')}\n</style>`;
+    
+    if (/<\/head>/i.test(html)) {
+        return html.replace(/<\/head>/i, style + '</head>');
+    }
+    return `<!DOCTYPE html><html><head><meta charset="UTF-8">${style}</head><body>${html}</body></html>`;
+}
+
+// Contrast Checker
+const fgColor = document.getElementById('fgColor');
+const fgColorHex = document.getElementById('fgColorHex');
 const bgColorContrast = document.getElementById('bgColorContrast');
 const bgColorContrastHex = document.getElementById('bgColorContrastHex');
+const fgOpacity = document.getElementById('fgOpacity');
+const fgOpacityValue = document.getElementById('fgOpacityValue');
 const checkContrastBtn = document.getElementById('checkContrastBtn');
+const contrastTarget = document.getElementById('contrastTarget');
+const suggestFixBtn = document.getElementById('suggestFixBtn');
+const contrastSuggestions = document.getElementById('contrastSuggestions');
+
+fgColor.addEventListener('input', () => {
+    fgColorHex.textContent = getContrastForeground().toUpperCase();
+    scheduleUrlStateSync();
+});
+
+fgOpacity.addEventListener('input', () => {
+    fgOpacityValue.textContent = fgOpacity.value;
+    fgColorHex.textContent = getContrastForeground().toUpperCase();
+    scheduleUrlStateSync();
+});
+
+bgColorContrast.addEventListener('input', () => {
+    bgColorContrastHex.textContent = bgColorContrast.value.toUpperCase();
+    scheduleUrlStateSync();
+});
+
+checkContrastBtn.addEventListener('click', () => {
+    checkContrast();
+});
+
+suggestFixBtn.addEventListener('click', () => {
+    showContrastSuggestions();
+});
+
+document.getElementById('exportContrastMarkdown').addEventListener('click', () => exportContrastReport('markdown'));
+document.getElementById('exportContrastJson').addEventListener('click', () => exportContrastReport('json'));
+
+// The foreground picker plus its opacity, as #rrggbb or #rrggbbaa
+function getContrastForeground() {
+    const { r, g, b } = hexToRgb(fgColor.value);
+    return rgbToHex(r, g, b, Number(fgOpacity.value) / 100);
+}
+
+function setContrastForeground(hex) {
+    setColorInput(fgColor, fgColorHex, hex);
+    fgOpacity.value = Math.round(hexToRgb(hex).a * 100);
+    fgOpacityValue.textContent = fgOpacity.value;
+    fgColorHex.textContent = getContrastForeground().toUpperCase();
+}
+
+function checkContrast(quiet = false) {
+    const foreground = getContrastForeground();
+    const background = bgColorContrast.value;
+    
+    const ratio = getContrastRatio(foreground, background);
+    const ratioDisplay = ratio.toFixed(2);
+    
+    // Suggestions were computed for the previous pair
+    contrastSuggestions.style.display = 'none';
+    
+    // Update preview
+    const previewSamples = document.querySelectorAll('.contrast-sample');
+    previewSamples.forEach(sample => {
+        sample.style.color = foreground;
+        sample.style.background = background;
+    });
+    
+    // Update metrics
+    document.getElementById('contrastRatio').textContent = ratioDisplay;
+    document.getElementById('aaNormal').textContent = ratio >= 4.5 ? '✓ PASS' : '✗ FAIL';
+    document.getElementById('aaNormal').className = 'metric-value ' + (ratio >= 4.5 ? 'pass' : 'fail');
+    
+    document.getElementById('aaLarge').textContent = ratio >= 3 ? '✓ PASS' : '✗ FAIL';
+    document.getElementById('aaLarge').className = 'metric-value ' + (ratio >= 3 ? 'pass' : 'fail');
+    
+    document.getElementById('aaaNormal').textContent = ratio >= 7 ? '✓ PASS' : '✗ FAIL';
+    document.getElementById('aaaNormal').className = 'metric-value ' + (ratio >= 7 ? 'pass' : 'fail');
+    
+    document.getElementById('aaaLarge').textContent = ratio >= 4.5 ? '✓ PASS' : '✗ FAIL';
+    document.getElementById('aaaLarge').className = 'metric-value ' + (ratio >= 4.5 ? 'pass' : 'fail');
+    
+    const lc = getApcaContrast(foreground, background);
+    const usage = getApcaUsage(lc);
+    document.getElementById('apcaLc').textContent = 'Lc ' + lc.toFixed(1);
+    document.getElementById('apcaUsage').textContent = usage.label;
+    document.getElementById('apcaUsage').className = 'metric-value ' + (usage.text ? 'pass' : 'fail');
+    renderApcaFontTable(lc);
+    
+    if (!quiet) {
+        showToast('Contrast ratio: ' + ratioDisplay);
+    }
+}
+
+// Translucent colors are composited first: the background over the white
+// page, then the foreground over that background
+function getContrastRatio(foreground, background) {
+    const backdrop = compositeOver(background, '#ffffff');
+    const fgLum = getLuminance(compositeOver(foreground, backdrop));
+    const bgLum = getLuminance(backdrop);
+    
+    return (Math.max(fgLum, bgLum) + 0.05) / (Math.min(fgLum, bgLum) + 0.05);
+}
+
+function getLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    
+    const a = [r / 255, g / 255, b / 255].map(v => {
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    
+    return a[0] * 0.2126 + a[1] * 0.7152 + a[2] * 0.0722;
+}
+
+// APCA (WCAG 3 draft), version 0.0.98G-4g. Lc is positive for dark text on a
+// light background and negative for light text on a dark one; usability
+// depends on |Lc| together with font size and weight.
+const APCA = {
+    mainTRC: 2.4,
+    normBG: 0.56,
+    normTXT: 0.57,
+    revTXT: 0.62,
+    revBG: 0.65,
+    blkThrs: 0.022,
+    blkClmp: 1.414,
+    scale: 1.14,
+    loOffset: 0.027,
+    loClip: 0.1,
+    deltaYmin: 0.0005
+};
+
+// Translucent colors are composited the same way as in getContrastRatio()
+function getApcaContrast(text, background) {
+    const backdrop = compositeOver(background, '#ffffff');
+    const txtY = getApcaLuminance(compositeOver(text, backdrop));
+    const bgY = getApcaLuminance(backdrop);
+    
+    if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+    
+    if (bgY > txtY) {
+        const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scale;
+        return sapc < APCA.loClip ? 0 : (sapc - APCA.loOffset) * 100;
+    }
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scale;
+    return sapc > -APCA.loClip ? 0 : (sapc + APCA.loOffset) * 100;
+}
+
+// APCA's screen luminance: a simple 2.4 gamma with a soft clamp near black
+function getApcaLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const y = 0.2126729 * Math.pow(r / 255, APCA.mainTRC) +
+        0.7151522 * Math.pow(g / 255, APCA.mainTRC) +
+        0.0721750 * Math.pow(b / 255, APCA.mainTRC);
+    
+    return y < APCA.blkThrs ? y + Math.pow(APCA.blkThrs - y, APCA.blkClmp) : y;
+}
+
+// Minimum font size (px) per weight 100-900 for each Lc step, from the APCA
+// font lookup table. 999 means not usable, 777 means non-text elements only.
+const APCA_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+const APCA_FONT_LOOKUP = [
+    [0, 999, 999, 999, 999, 999, 999, 999, 999, 999],
+    [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+    [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+    [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+    [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+    [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+    [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+    [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+    [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+    [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+    [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+    [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+    [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+    [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+    [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+    [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+    [95, 45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+    [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+    [105, 39, 25, 18, 14, 14, 13, 12, 16, 18]
+];
+const APCA_SAMPLE_SIZES = [12, 14, 16, 18, 24, 32, 48, 72];
+
+// The last row at or below |Lc|, so the answer is never more lenient than the table
+function getApcaMinFontSizes(lc) {
+    const abs = Math.abs(lc);
+    const row = APCA_FONT_LOOKUP.filter(r => r[0] <= abs).pop();
+    return APCA_FONT_WEIGHTS.map((weight, i) => ({ weight, size: row[i + 1] }));
+}
+
+// The APCA "bronze" use-case levels
+function getApcaUsage(lc) {
+    const abs = Math.abs(lc);
+    if (abs >= 75) return { level: 'body', label: 'Body text', text: true };
+    if (abs >= 45) return { level: 'large', label: 'Large text', text: true };
+    if (abs >= 15) return { level: 'non-text', label: 'Non-text only', text: false };
+    return { level: 'none', label: 'Not usable', text: false };
+}
+
+// Font size rows and weight columns; a cell passes when that size is at least
+// the minimum the lookup table allows for this Lc and weight
+function renderApcaFontTable(lc) {
+    const minSizes = getApcaMinFontSizes(lc);
+    const header = minSizes.map(({ weight }) => `<th>${weight}</th>`).join('');
+    const rows = APCA_SAMPLE_SIZES.map(px => {
+        const cells = minSizes.map(({ size }) => {
+            const ok = size < 777 && px >= size;
+            return `<td class="${ok ? 'pass' : 'fail'}" title="${formatApcaMinSize(size)}">${ok ? '✓' : '✗'}</td>`;
+        }).join('');
+        return `<tr><th>${px}px</th>${cells}</tr>`;
+    }).join('');
+    
+    document.getElementById('apcaFontTable').innerHTML = `
+        <thead><tr><th>Size</th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+function formatApcaMinSize(size) {
+    if (size === 999) return 'Not usable';
+    if (size === 777) return 'Non-text only';
+    return `Min ${size}px`;
+}
+
+// Contrast fixes
+// Candidates keep the color's OKLCH hue and move only its lightness, at full
+// and at half chroma, as little as needed to reach the target ratio. The other
+// color of the pair stays fixed.
+const CONTRAST_TARGETS = {
+    aa: { label: 'AA normal text', ratio: 4.5 },
+    'aa-large': { label: 'AA large text', ratio: 3 },
+    aaa: { label: 'AAA normal text', ratio: 7 },
+    'aaa-large': { label: 'AAA large text', ratio: 4.5 }
+};
+const CONTRAST_FIX_CHROMA = [1, 0.5];
+
+function findContrastFixes(hex, ratioOf, target) {
+    const { r, g, b } = hexToRgb(hex);
+    const alpha = hex.slice(7);
+    const lch = rgbToOklch(r, g, b);
+    const candidates = [];
+    
+    const colorAt = (l, chroma) => {
+        const rgb = oklchToRgb(l, lch.c * chroma, lch.h);
+        return rgbToHex(rgb.r, rgb.g, rgb.b) + alpha;
+    };
+    
+    CONTRAST_FIX_CHROMA.forEach(chroma => {
+        // Toward black the passing lightness range is [0, x], toward white [x, 1];
+        // bisect for the x closest to the original lightness
+        [0, 1].forEach(end => {
+            if (ratioOf(colorAt(end, chroma)) < target) return;
+            
+            let near = lch.l;
+            let far = end;
+            for (let i = 0; i < 20; i++) {
+                const mid = (near + far) / 2;
+                if (ratioOf(colorAt(mid, chroma)) >= target) {
+                    far = mid;
+                } else {
+                    near = mid;
+                }
+            }
+            
+            const fixed = colorAt(far, chroma);
+            if (!candidates.some(c => c.hex === fixed)) {
+                candidates.push({ hex: fixed, ratio: ratioOf(fixed), deltaE: deltaEHex(hex, fixed) });
+            }
+        });
+    });
+    
+    return candidates.sort((a, b) => a.deltaE - b.deltaE);
+}
+
+function showContrastSuggestions() {
+    const foreground = getContrastForeground();
+    const background = bgColorContrast.value;
+    const target = CONTRAST_TARGETS[contrastTarget.value];
+    
+    if (getContrastRatio(foreground, background) >= target.ratio) {
+        contrastSuggestions.style.display = 'none';
+        showToast(`Already passes ${target.label}`);
+        return;
+    }
+    
+    const sides = [
+        {
+            side: 'foreground',
+            title: 'Change foreground',
+            fixes: findContrastFixes(foreground, hex => getContrastRatio(hex, background), target.ratio),
+            pair: hex => [hex, background]
+        },
+        {
+            side: 'background',
+            title: 'Change background',
+            fixes: findContrastFixes(background, hex => getContrastRatio(foreground, hex), target.ratio),
+            pair: hex => [foreground, hex]
+        }
+    ];
+    
+    contrastSuggestions.innerHTML = `<h4>Suggestions for ${target.label} (${target.ratio}:1)</h4>` + sides.map(({ side, title, fixes, pair }) => `
+        <div class="suggestion-group">
+            <h5>${title}</h5>
+            ${fixes.length === 0 ? '<p class="info-text">No color with this hue reaches the target</p>' : fixes.map(fix => {
+                const [fg, bg] = pair(fix.hex);
+                return `
+                    <button class="contrast-suggestion" data-side="${side}" data-hex="${fix.hex}" title="Apply">
+                        <span class="suggestion-sample" style="color: ${fg}; background: ${bg}">Aa</span>
+                        <span class="suggestion-hex">${fix.hex.toUpperCase()}</span>
+                        <span class="suggestion-meta">${fix.ratio.toFixed(2)}:1 · ΔE ${fix.deltaE.toFixed(1)}</span>
+                    </button>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+    
+    contrastSuggestions.querySelectorAll('.contrast-suggestion').forEach(btn => {
+        btn.addEventListener('click', () => applyContrastSuggestion(btn.dataset.side, btn.dataset.hex));
+    });
+    contrastSuggestions.style.display = 'block';
+}
+
+function applyContrastSuggestion(side, hex) {
+    if (side === 'foreground') {
+        setContrastForeground(hex);
+    } else {
+        setColorInput(bgColorContrast, bgColorContrastHex, hex);
+    }
+    checkContrast();
+    scheduleUrlStateSync();
+}
+
+// Contrast Matrix
+// Every pair of the extracted palette or the generated scheme: rows are the
+// text color, columns the background. Translucent colors make the matrix
+// asymmetric, so both halves are computed. Clicking a cell loads the pair.
+const matrixSource = document.getElementById('matrixSource');
+const contrastMatrix = document.getElementById('contrastMatrix');
+let lastMatrix = null;
+
+document.getElementById('buildMatrixBtn').addEventListener('click', () => showContrastMatrix());
+matrixSource.addEventListener('change', () => {
+    if (lastMatrix) showContrastMatrix();
+});
+document.getElementById('exportMatrixCsv').addEventListener('click', () => exportContrastMatrix('csv'));
+document.getElementById('exportMatrixJson').addEventListener('click', () => exportContrastMatrix('json'));
+
+// Highest level a ratio reaches, from the same thresholds as checkContrast()
+function getWcagLevel(ratio) {
+    if (ratio >= 7) return 'AAA';
+    if (ratio >= 4.5) return 'AA';
+    if (ratio >= 3) return 'AA Large';
+    return 'Fail';
+}
+
+function getMatrixColors() {
+    if (matrixSource.value === 'scheme') {
+        return currentScheme.map(c => ({ name: c.name, hex: c.hex }));
+    }
+    return extractedColors.map((c, i) => ({ name: `Color ${i + 1}`, hex: c.hex }));
+}
+
+function buildContrastMatrix(colors) {
+    return {
+        colors,
+        ratios: colors.map(fg => colors.map(bg => roundTo(getContrastRatio(fg.hex, bg.hex), 2)))
+    };
+}
+
+function showContrastMatrix() {
+    const colors = getMatrixColors();
+    if (colors.length < 2) {
+        lastMatrix = null;
+        contrastMatrix.innerHTML = '';
+        showToast(matrixSource.value === 'scheme' ? 'Generate a scheme first!' : 'Extract at least two colors first!');
+        return;
+    }
+    
+    lastMatrix = buildContrastMatrix(colors);
+    const header = colors.map(c => `
+        <th title="${escapeHtml(c.name)}"><span class="matrix-swatch" style="background: ${swatchBackground(c.hex)}"></span>${c.hex.toUpperCase()}</th>
+    `).join('');
+    const rows = colors.map((fg, i) => {
+        const cells = colors.map((bg, j) => {
+            if (i === j) return '<td class="matrix-self">–</td>';
+            const ratio = lastMatrix.ratios[i][j];
+            const level = getWcagLevel(ratio);
+            return `<td class="matrix-cell level-${level.toLowerCase().replace(' ', '-')}" data-fg="${fg.hex}" data-bg="${bg.hex}" title="${level}">${ratio.toFixed(2)}</td>`;
+        }).join('');
+        return `<tr><th title="${escapeHtml(fg.name)}"><span class="matrix-swatch" style="background: ${swatchBackground(fg.hex)}"></span>${fg.hex.toUpperCase()}</th>${cells}</tr>`;
+    }).join('');
+    
+    contrastMatrix.innerHTML = `
+        <thead><tr><th>Text \\ Background</th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+    `;
+    contrastMatrix.querySelectorAll('.matrix-cell').forEach(cell => {
+        cell.addEventListener('click', () => {
+            setContrastForeground(cell.dataset.fg);
+            setColorInput(bgColorContrast, bgColorContrastHex, cell.dataset.bg);
+            checkContrast();
+            scheduleUrlStateSync();
+        });
+    });
+}
+
+function exportContrastMatrix(format) {
+    if (!lastMatrix) {
+        showToast('Build the matrix first!');
+        return;
+    }
+    
+    const { colors, ratios } = lastMatrix;
+    if (format === 'json') {
+        const pairs = [];
+        colors.forEach((fg, i) => colors.forEach((bg, j) => {
+            if (i === j) return;
+            const ratio = ratios[i][j];
+            pairs.push({
+                foreground: fg.hex,
+                background: bg.hex,
+                ratio,
+                aaNormal: ratio >= 4.5,
+                aaLarge: ratio >= 3,
+                aaaNormal: ratio >= 7,
+                aaaLarge: ratio >= 4.5
+            });
+        }));
+        downloadFile(JSON.stringify({ colors, pairs }, null, 2), 'contrast-matrix.json', 'application/json');
+    } else {
+        const csvField = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = [
+            ['Text \\ Background', ...colors.map(c => `${c.name} (${c.hex})`)].map(csvField).join(','),
+            ...colors.map((fg, i) => [
+                `${fg.name} (${fg.hex})`,
+                ...colors.map((bg, j) => i === j ? '' : `${ratios[i][j].toFixed(2)} ${getWcagLevel(ratios[i][j])}`)
+            ].map(csvField).join(','))
+        ];
+        downloadFile(lines.join('\n') + '\n', 'contrast-matrix.csv', 'text/csv');
+    }
+    showToast('Contrast matrix exported!');
+}
+
+// Contrast Report
+// The current pair with both WCAG 2.1 and APCA results
+function buildContrastReport() {
+    const foreground = getContrastForeground();
+    const background = bgColorContrast.value;
+    const ratio = getContrastRatio(foreground, background);
+    const lc = getApcaContrast(foreground, background);
+    
+    return {
+        foreground,
+        background,
+        wcag: {
+            ratio: roundTo(ratio, 2),
+            aaNormal: ratio >= 4.5,
+            aaLarge: ratio >= 3,
+            aaaNormal: ratio >= 7,
+            aaaLarge: ratio >= 4.5
+        },
+        apca: {
+            lc: roundTo(lc, 1),
+            usage: getApcaUsage(lc).level,
+            minFontSize: Object.fromEntries(getApcaMinFontSizes(lc).map(({ weight, size }) => [weight, size < 777 ? size : null]))
+        }
+    };
+}
+
+function exportContrastReport(format) {
+    const report = buildContrastReport();
+    
+    if (format === 'json') {
+        downloadFile(JSON.stringify(report, null, 2), 'contrast-report.json', 'application/json');
+    } else {
+        const result = pass => pass ? 'Pass' : 'Fail';
+        const lines = [
+            '# Contrast Report',
+            '',
+            `Foreground: \`${report.foreground}\`  `,
+            `Background: \`${report.background}\``,
+            '',
+            '## WCAG 2.1',
+            '',
+            `Contrast ratio: ${report.wcag.ratio}:1`,
+            '',
+            '| Level | Normal text | Large text |',
+            '| --- | --- | --- |',
+            `| AA | ${result(report.wcag.aaNormal)} | ${result(report.wcag.aaLarge)} |`,
+            `| AAA | ${result(report.wcag.aaaNormal)} | ${result(report.wcag.aaaLarge)} |`,
+            '',
+            '## APCA',
+            '',
+            `Lc ${report.apca.lc} (${getApcaUsage(report.apca.lc).label})`,
+            '',
+            '| Weight | Minimum font size |',
+            '| --- | --- |',
+            ...getApcaMinFontSizes(report.apca.lc).map(({ weight, size }) => `| ${weight} | ${formatApcaMinSize(size)} |`)
+        ];
+        downloadFile(lines.join('\n') + '\n', 'contrast-report.md', 'text/markdown');
+    }
+    showToast('Contrast report exported!');
+}
+
+// Gradient Builder
+// Stops are { hex, position } with position in percent. Browsers blend
+// gradients in sRGB, so for OKLab/OKLCH the CSS, SVG and PNG output carries
+// GRADIENT_SAMPLES intermediate stops per segment computed in that space.
+const GRADIENT_SAMPLES = 8;
+const GRADIENT_EXPORT_SIZE = { width: 1200, height: 800 };
+
+const gradientType = document.getElementById('gradientType');
+const gradientAngle = document.getElementById('gradientAngle');
+const gradientSpace = document.getElementById('gradientSpace');
+const gradientPreview = document.getElementById('gradientPreview');
+const gradientTrack = document.getElementById('gradientTrack');
+const gradientStopColor = document.getElementById('gradientStopColor');
+const gradientStopPosition = document.getElementById('gradientStopPosition');
+
+let gradientStops = [{ hex: '#667eea', position: 0 }, { hex: '#764ba2', position: 100 }];
+let selectedStop = 0;
+let draggingStop = false;
+
+[gradientType, gradientAngle, gradientSpace].forEach(control => {
+    control.addEventListener('input', renderGradient);
+});
+
+gradientStopColor.addEventListener('input', () => {
+    gradientStops[selectedStop].hex = gradientStopColor.value;
+    renderGradient();
+});
+
+gradientStopPosition.addEventListener('input', () => {
+    gradientStops[selectedStop].position = Number(gradientStopPosition.value);
+    renderGradient();
+});
+
+document.getElementById('gradientRemoveStopBtn').addEventListener('click', () => {
+    if (gradientStops.length <= 2) {
+        showToast('A gradient needs at least two stops');
+        return;
+    }
+    gradientStops.splice(selectedStop, 1);
+    selectedStop = Math.min(selectedStop, gradientStops.length - 1);
+    renderGradient();
+});
+
+document.getElementById('gradientReverseBtn').addEventListener('click', () => {
+    gradientStops.forEach(stop => {
+        stop.position = 100 - stop.position;
+    });
+    renderGradient();
+});
+
+document.getElementById('gradientFromSchemeBtn').addEventListener('click', () => {
+    if (currentScheme.length < 2) {
+        showToast('Generate a scheme first!');
+        return;
+    }
+    gradientStops = currentScheme.map((c, i) => ({ hex: c.hex, position: roundTo(i / (currentScheme.length - 1) * 100, 2) }));
+    selectedStop = 0;
+    renderGradient();
+});
+
+document.getElementById('gradientFromImageBtn').addEventListener('click', () => {
+    if (extractedColors.length < 2) {
+        showToast('Extract colors from an image first!');
+        return;
+    }
+    gradientStops = gradientStopsFromPalette(extractedColors);
+    selectedStop = 0;
+    renderGradient();
+});
+
+// Pressing a stop selects and drags it; pressing the empty bar adds a stop
+// with the color the gradient already has there
+gradientTrack.addEventListener('pointerdown', e => {
+    const handle = e.target.closest('.gradient-stop');
+    if (handle) {
+        selectedStop = Number(handle.dataset.index);
+    } else {
+        const position = getTrackPosition(e);
+        gradientStops.push({ hex: getGradientColorAt(position), position });
+        selectedStop = gradientStops.length - 1;
+    }
+    draggingStop = true;
+    gradientTrack.setPointerCapture(e.pointerId);
+    renderGradient();
+});
+
+gradientTrack.addEventListener('pointermove', e => {
+    if (!draggingStop) return;
+    gradientStops[selectedStop].position = getTrackPosition(e);
+    renderGradient();
+});
+
+['pointerup', 'pointercancel'].forEach(type => {
+    gradientTrack.addEventListener(type, () => {
+        draggingStop = false;
+    });
+});
+
+gradientTrack.addEventListener('keydown', e => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const step = (e.shiftKey ? 10 : 1) * (e.key === 'ArrowLeft' ? -1 : 1);
+    const stop = gradientStops[selectedStop];
+    stop.position = Math.max(0, Math.min(100, stop.position + step));
+    renderGradient();
+});
+
+document.getElementById('gradientCss').addEventListener('click', () => {
+    copyToClipboard(buildGradientCss(), null);
+});
+
+document.querySelectorAll('[data-gradient-export]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        exportGradient(btn.dataset.gradientExport).catch(err => showToast('Export failed: ' + err.message));
+    });
+});
+
+function getTrackPosition(e) {
+    const rect = gradientTrack.getBoundingClientRect();
+    return Math.round(Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * 100);
+}
+
+function getSortedStops() {
+    return gradientStops.slice().sort((a, b) => a.position - b.position);
+}
+
+function getGradientColorAt(position) {
+    const stops = getSortedStops();
+    const after = stops.findIndex(s => s.position >= position);
+    if (after <= 0) return stops[after === 0 ? 0 : stops.length - 1].hex;
+    
+    const a = stops[after - 1];
+    const b = stops[after];
+    const t = b.position === a.position ? 0 : (position - a.position) / (b.position - a.position);
+    return interpolateColor(a.hex, b.hex, t, gradientSpace.value);
+}
+
+// Image colors from dark to light, each spread over its share of the image
+function gradientStopsFromPalette(colors) {
+    const total = colors.reduce((sum, c) => sum + (c.percent || 100 / colors.length), 0);
+    const sorted = colors.slice().sort((a, b) => {
+        const la = hexToRgb(a.hex);
+        const lb = hexToRgb(b.hex);
+        return rgbToOklab(la.r, la.g, la.b).l - rgbToOklab(lb.r, lb.g, lb.b).l;
+    });
+    
+    let before = 0;
+    const centers = sorted.map(c => {
+        const share = c.percent || 100 / colors.length;
+        const center = (before + share / 2) / total;
+        before += share;
+        return center;
+    });
+    const first = centers[0];
+    const span = centers[centers.length - 1] - first || 1;
+    
+    return sorted.map((c, i) => ({ hex: c.hex, position: roundTo((centers[i] - first) / span * 100, 2) }));
+}
+
+function expandGradientStops(space = gradientSpace.value) {
+    const stops = getSortedStops();
+    if (space === 'srgb') return stops;
+    
+    const expanded = [stops[0]];
+    for (let i = 1; i < stops.length; i++) {
+        const a = stops[i - 1];
+        const b = stops[i];
+        for (let s = 1; s < GRADIENT_SAMPLES; s++) {
+            const t = s / GRADIENT_SAMPLES;
+            expanded.push({
+                hex: interpolateColor(a.hex, b.hex, t, space),
+                position: roundTo(a.position + (b.position - a.position) * t, 2)
+            });
+        }
+        expanded.push(b);
+    }
+    return expanded;
+}
+
+function buildGradientCss(type = gradientType.value, stops = expandGradientStops()) {
+    const list = stops.map(s => `${s.hex} ${s.position}%`).join(', ');
+    switch (type) {
+        case 'radial':
+            return `radial-gradient(circle, ${list})`;
+        case 'conic':
+            return `conic-gradient(from ${gradientAngle.value}deg, ${list})`;
+        default:
+            return `linear-gradient(${gradientAngle.value}deg, ${list})`;
+    }
+}
+
+function renderGradient() {
+    const type = gradientType.value;
+    document.getElementById('gradientAngleGroup').style.display = type === 'radial' ? 'none' : 'block';
+    document.getElementById('gradientAngleValue').textContent = gradientAngle.value;
+    
+    gradientPreview.style.background = buildGradientCss();
+    gradientTrack.style.background = `linear-gradient(90deg, ${expandGradientStops().map(s => `${s.hex} ${s.position}%`).join(', ')})`;
+    
+    // Handles are updated in place so a focused one keeps focus while it moves
+    while (gradientTrack.children.length > gradientStops.length) {
+        gradientTrack.lastElementChild.remove();
+    }
+    while (gradientTrack.children.length < gradientStops.length) {
+        const handle = document.createElement('button');
+        handle.className = 'gradient-stop';
+        gradientTrack.appendChild(handle);
+    }
+    gradientStops.forEach((stop, i) => {
+        const handle = gradientTrack.children[i];
+        handle.dataset.index = i;
+        handle.classList.toggle('selected', i === selectedStop);
+        handle.style.left = `${stop.position}%`;
+        handle.style.background = stop.hex;
+        handle.title = `${stop.hex.toUpperCase()} at ${stop.position}%`;
+    });
+    
+    const stop = gradientStops[selectedStop];
+    gradientStopColor.value = stop.hex.slice(0, 7);
+    document.getElementById('gradientStopHex').textContent = stop.hex.toUpperCase();
+    gradientStopPosition.value = stop.position;
+    document.getElementById('gradientStopPositionValue').textContent = stop.position;
+    document.getElementById('gradientCss').textContent = `background: ${buildGradientCss()};`;
+}
+
+// Endpoints of the CSS gradient line for an angle in a width×height box
+function getGradientLine(width, height) {
+    const rad = Number(gradientAngle.value) * Math.PI / 180;
+    const dx = Math.sin(rad);
+    const dy = -Math.cos(rad);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    return {
+        x1: width / 2 - dx * half,
+        y1: height / 2 - dy * half,
+        x2: width / 2 + dx * half,
+        y2: height / 2 + dy * half
+    };
+}
 
-fgColor.addEventListener('input', () => {
-    fgColorHex.textContent = fgColor.value.toUpperCase();
+// SVG has no conic gradients, so those are PNG only
+function buildGradientSvg() {
+    const { width, height } = GRADIENT_EXPORT_SIZE;
+    const stops = expandGradientStops().map(s => {
+        const { a } = hexToRgb(s.hex);
+        const opacity = a < 1 ? ` stop-opacity="${roundTo(a, 3)}"` : '';
+        return `      <stop offset="${s.position}%" stop-color="${s.hex.slice(0, 7)}"${opacity}/>`;
+    });
+    
+    let open;
+    if (gradientType.value === 'radial') {
+        const r = roundTo(Math.hypot(width, height) / 2, 2);
+        open = `<radialGradient id="gradient" gradientUnits="userSpaceOnUse" cx="${width / 2}" cy="${height / 2}" r="${r}">`;
+    } else {
+        const line = getGradientLine(width, height);
+        open = `<linearGradient id="gradient" gradientUnits="userSpaceOnUse" x1="${roundTo(line.x1, 2)}" y1="${roundTo(line.y1, 2)}" x2="${roundTo(line.x2, 2)}" y2="${roundTo(line.y2, 2)}">`;
+    }
+    const close = gradientType.value === 'radial' ? '</radialGradient>' : '</linearGradient>';
+    
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        '  <defs>',
+        `    ${open}`,
+        ...stops,
+        `    ${close}`,
+        '  </defs>',
+        `  <rect width="${width}" height="${height}" fill="url(#gradient)"/>`,
+        '</svg>'
+    ].join('\n') + '\n';
+}
+
+function buildGradientPng() {
+    const { width, height } = GRADIENT_EXPORT_SIZE;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = width;
+    canvas.height = height;
+    
+    let fill;
+    switch (gradientType.value) {
+        case 'radial':
+            fill = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+            break;
+        case 'conic':
+            // Canvas angles start at 3 o'clock, CSS ones at 12 o'clock
+            fill = ctx.createConicGradient((Number(gradientAngle.value) - 90) * Math.PI / 180, width / 2, height / 2);
+            break;
+        default: {
+            const line = getGradientLine(width, height);
+            fill = ctx.createLinearGradient(line.x1, line.y1, line.x2, line.y2);
+        }
+    }
+    expandGradientStops().forEach(s => fill.addColorStop(s.position / 100, s.hex));
+    
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, width, height);
+    return new Promise((resolve, reject) => canvas.toBlob(blob => {
+        if (blob) resolve(blob);
+        else reject(new Error('the PNG could not be created'));
+    }, 'image/png'));
+}
+
+async function exportGradient(format) {
+    switch (format) {
+        case 'css':
+            downloadFile(`.gradient {\n    background: ${buildGradientCss()};\n}\n`, 'gradient.css', 'text/css');
+            break;
+        case 'svg':
+            if (gradientType.value === 'conic') {
+                showToast('SVG has no conic gradients, export PNG instead');
+                return;
+            }
+            downloadFile(buildGradientSvg(), 'gradient.svg', 'image/svg+xml');
+            break;
+        case 'png':
+            if (gradientType.value === 'conic' && !CanvasRenderingContext2D.prototype.createConicGradient) {
+                showToast('This browser cannot draw conic gradients');
+                return;
+            }
+            downloadFile(await buildGradientPng(), 'gradient.png', 'image/png');
+            break;
+    }
+    showToast(`Gradient exported as ${format.toUpperCase()}!`);
+}
+
+// Color Mixer
+// Interpolate runs through all mixer colors in order; tint, shade and tone
+// step each color toward white, black or mid gray; blend puts each of the
+// other colors onto the first one. The results can replace the current scheme.
+const MIX_TARGETS = {
+    tint: { label: 'Tint', hex: '#ffffff' },
+    shade: { label: 'Shade', hex: '#000000' },
+    tone: { label: 'Tone', hex: '#808080' }
+};
+
+const mixerMode = document.getElementById('mixerMode');
+const mixerSpace = document.getElementById('mixerSpace');
+const mixerSteps = document.getElementById('mixerSteps');
+const mixerBlendMode = document.getElementById('mixerBlendMode');
+const mixerColorList = document.getElementById('mixerColorList');
+const mixerResults = document.getElementById('mixerResults');
+
+let mixerColors = ['#667eea', '#f5576c'];
+let mixerOutput = [];
+
+[mixerMode, mixerSpace, mixerSteps, mixerBlendMode].forEach(control => {
+    control.addEventListener('input', renderMixerResults);
 });
 
-bgColorContrast.addEventListener('input', () => {
-    bgColorContrastHex.textContent = bgColorContrast.value.toUpperCase();
+// Only the results are redrawn while picking, so the open picker survives;
+// the picker has no alpha, so an edited color keeps the original's
+mixerColorList.addEventListener('input', e => {
+    const index = Number(e.target.dataset.index);
+    mixerColors[index] = e.target.value + mixerColors[index].slice(7);
+    e.target.nextElementSibling.textContent = mixerColors[index].toUpperCase();
+    renderMixerResults();
 });
 
-checkContrastBtn.addEventListener('click', () => {
-    checkContrast();
+mixerColorList.addEventListener('click', e => {
+    const remove = e.target.closest('[data-remove]');
+    if (!remove) return;
+    if (mixerColors.length <= 1) {
+        showToast('The mixer needs at least one color');
+        return;
+    }
+    mixerColors.splice(Number(remove.dataset.remove), 1);
+    renderMixer();
 });
 
-function checkContrast() {
-    const foreground = fgColor.value;
-    const background = bgColorContrast.value;
+document.getElementById('mixerAddColorBtn').addEventListener('click', () => {
+    mixerColors.push(mixerColors[mixerColors.length - 1]);
+    renderMixer();
+});
+
+document.querySelectorAll('[data-mixer-load]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const source = btn.dataset.mixerLoad === 'scheme' ? currentScheme : extractedColors;
+        if (source.length === 0) {
+            showToast(btn.dataset.mixerLoad === 'scheme' ? 'Generate a scheme first!' : 'Extract colors from an image first!');
+            return;
+        }
+        mixerColors = source.map(c => c.hex);
+        renderMixer();
+    });
+});
+
+document.getElementById('mixerUseSchemeBtn').addEventListener('click', () => {
+    if (mixerOutput.length === 0) {
+        showToast('Nothing to use yet');
+        return;
+    }
+    loadPaletteInto('scheme', mixerOutput, `${mixerMode.options[mixerMode.selectedIndex].text} from the mixer`);
+    activateTab('generator');
+    showToast(`${mixerOutput.length} colors loaded into the generator`);
+});
+
+// Returns { hex, name } colors; empty when the mode needs more colors
+function mixColors(colors, mode, space, steps, blendMode) {
+    if (mode === 'interpolate') {
+        if (colors.length < 2) return [];
+        const segments = colors.length - 1;
+        return Array.from({ length: steps }, (_, i) => {
+            const position = i / (steps - 1) * segments;
+            const segment = Math.min(Math.floor(position), segments - 1);
+            const hex = interpolateColor(colors[segment], colors[segment + 1], position - segment, space);
+            return { hex, name: `Step ${i + 1}` };
+        });
+    }
     
-    const fgLum = getLuminance(foreground);
-    const bgLum = getLuminance(background);
+    if (mode === 'blend') {
+        const { label } = BLEND_MODES[blendMode];
+        return colors.slice(1).map((top, i) => ({
+            hex: blendColors(colors[0], top, blendMode),
+            name: `${label} 1 + ${i + 2}`
+        }));
+    }
     
-    const ratio = (Math.max(fgLum, bgLum) + 0.05) / (Math.min(fgLum, bgLum) + 0.05);
-    const ratioDisplay = ratio.toFixed(2);
+    const target = MIX_TARGETS[mode];
+    return colors.flatMap((hex, k) => Array.from({ length: steps }, (_, i) => {
+        const amount = Math.round(i / steps * 100);
+        const name = i === 0 ? 'Base' : `${target.label} ${amount}%`;
+        return {
+            hex: interpolateColor(hex, target.hex, i / steps, space),
+            name: colors.length > 1 ? `Color ${k + 1} · ${name}` : name
+        };
+    }));
+}
+
+function renderMixer() {
+    mixerColorList.innerHTML = mixerColors.map((hex, i) => `
+        <div class="mixer-color">
+            <input type="color" value="${hex.slice(0, 7)}" data-index="${i}">
+            <span>${hex.toUpperCase()}</span>
+            <button class="mixer-remove" data-remove="${i}" title="Remove color">×</button>
+        </div>
+    `).join('');
+    renderMixerResults();
+}
+
+function renderMixerResults() {
+    const mode = mixerMode.value;
+    document.getElementById('mixerStepsValue').textContent = mixerSteps.value;
+    document.getElementById('mixerSpaceGroup').style.display = mode === 'blend' ? 'none' : 'block';
+    document.getElementById('mixerStepsGroup').style.display = mode === 'blend' ? 'none' : 'block';
+    document.getElementById('mixerBlendGroup').style.display = mode === 'blend' ? 'block' : 'none';
     
-    // Update preview
-    const previewSamples = document.querySelectorAll('.contrast-sample');
-    previewSamples.forEach(sample => {
-        sample.style.color = foreground;
-        sample.style.background = background;
+    mixerOutput = mixColors(mixerColors, mode, mixerSpace.value, Number(mixerSteps.value), mixerBlendMode.value);
+    mixerResults.innerHTML = '';
+    if (mixerOutput.length === 0) {
+        mixerResults.innerHTML = '<p class="info-text">Add at least two colors to interpolate or blend.</p>';
+        return;
+    }
+    mixerOutput.forEach(color => mixerResults.appendChild(createSchemeItem(color)));
+}
+
+// Palette Library
+const paletteLibrary = new PaletteLibrary(undefined, {
+    schemeTypes: Array.from(schemeType.options, option => option.value)
+});
+const librarySearch = document.getElementById('librarySearch');
+const libraryGrid = document.getElementById('libraryGrid');
+const libraryDialog = document.getElementById('libraryDialog');
+const libraryDialogTitle = document.getElementById('libraryDialogTitle');
+const libraryName = document.getElementById('libraryName');
+const libraryTags = document.getElementById('libraryTags');
+const libraryImportInput = document.getElementById('libraryImportInput');
+
+// What the open dialog will do on save: { mode: 'save', kind } or { mode: 'edit', id }
+let libraryDialogAction = null;
+
+document.querySelectorAll('[data-save]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const kind = btn.dataset.save;
+        const colors = kind === 'scheme' ? currentScheme : extractedColors;
+        
+        if (colors.length === 0) {
+            showToast(kind === 'scheme' ? 'No scheme generated yet!' : 'No colors extracted yet!');
+            return;
+        }
+        
+        libraryDialogAction = { mode: 'save', kind };
+        libraryDialogTitle.textContent = 'Save to Library';
+        libraryName.value = kind === 'scheme' ? `${schemeType.options[schemeType.selectedIndex].text} ${baseColor.value.toUpperCase()}` : 'Extracted Palette';
+        libraryTags.value = '';
+        libraryDialog.returnValue = '';
+        libraryDialog.showModal();
     });
+});
+
+libraryDialog.addEventListener('close', async () => {
+    const action = libraryDialogAction;
+    libraryDialogAction = null;
+    if (libraryDialog.returnValue !== 'save' || !action) return;
     
-    // Update metrics
-    document.getElementById('contrastRatio').textContent = ratioDisplay;
-    document.getElementById('aaNormal').textContent = ratio >= 4.5 ? '✓ PASS' : '✗ FAIL';
-    document.getElementById('aaNormal').className = 'metric-value ' + (ratio >= 4.5 ? 'pass' : 'fail');
+    const name = libraryName.value.trim() || 'Untitled';
+    const tags = libraryTags.value.split(',').map(t => t.trim()).filter(Boolean);
     
-    document.getElementById('aaLarge').textContent = ratio >= 3 ? '✓ PASS' : '✗ FAIL';
-    document.getElementById('aaLarge').className = 'metric-value ' + (ratio >= 3 ? 'pass' : 'fail');
+    try {
+        if (action.mode === 'edit') {
+            await paletteLibrary.update(action.id, { name, tags });
+            showToast('Palette updated!');
+        } else {
+            await paletteLibrary.save(Object.assign({ name, tags }, getLibrarySnapshot(action.kind)));
+            showToast(`Saved "${name}" to the library!`);
+        }
+        renderLibrary();
+    } catch (err) {
+        showToast('Library error: ' + err.message);
+    }
+});
+
+librarySearch.addEventListener('input', () => renderLibrary());
+
+document.getElementById('libraryExportBtn').addEventListener('click', async () => {
+    try {
+        downloadFile(await paletteLibrary.exportAll(), 'palette-library.json', 'application/json');
+        showToast('Library exported!');
+    } catch (err) {
+        showToast('Library error: ' + err.message);
+    }
+});
+
+document.getElementById('libraryImportBtn').addEventListener('click', () => libraryImportInput.click());
+
+libraryImportInput.addEventListener('change', async () => {
+    const file = libraryImportInput.files[0];
+    libraryImportInput.value = '';
+    if (!file) return;
     
-    document.getElementById('aaaNormal').textContent = ratio >= 7 ? '✓ PASS' : '✗ FAIL';
-    document.getElementById('aaaNormal').className = 'metric-value ' + (ratio >= 7 ? 'pass' : 'fail');
+    try {
+        const count = await paletteLibrary.importAll(await file.text());
+        showToast(`Imported ${count} palettes into the library`);
+        renderLibrary();
+    } catch (err) {
+        showToast('Library import failed: ' + err.message);
+    }
+});
+
+function getLibrarySnapshot(kind) {
+    if (kind === 'scheme') {
+        return {
+            kind,
+            colors: currentScheme,
+            meta: { schemeType: schemeType.value, baseColor: baseColor.value }
+        };
+    }
     
-    document.getElementById('aaaLarge').textContent = ratio >= 4.5 ? '✓ PASS' : '✗ FAIL';
-    document.getElementById('aaaLarge').className = 'metric-value ' + (ratio >= 4.5 ? 'pass' : 'fail');
+    const fromImage = imagePreview.style.display !== 'none' && uploadedImage.naturalWidth > 0;
+    return {
+        kind,
+        colors: extractedColors.map((c, i) => ({ name: `Color ${i + 1}`, hex: c.hex })),
+        thumbnail: fromImage ? makeThumbnail(uploadedImage) : null,
+        meta: {}
+    };
+}
+
+function makeThumbnail(imgElement, size = 96) {
+    const canvas = document.createElement('canvas');
+    const scale = size / Math.max(imgElement.naturalWidth, imgElement.naturalHeight);
+    canvas.width = Math.max(1, Math.round(imgElement.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(imgElement.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(imgElement, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+async function renderLibrary() {
+    let entries;
+    
+    try {
+        entries = await paletteLibrary.list(librarySearch.value);
+    } catch (err) {
+        libraryGrid.innerHTML = `<p class="info-text">The library is unavailable: ${escapeHtml(err.message)}</p>`;
+        return;
+    }
     
-    showToast('Contrast ratio: ' + ratioDisplay);
+    if (entries.length === 0) {
+        libraryGrid.innerHTML = `<p class="info-text">${librarySearch.value ? 'No saved palettes match your search.' : 'No saved palettes yet. Use "Save to Library" in the Color Extractor or Scheme Generator.'}</p>`;
+        return;
+    }
+    
+    libraryGrid.innerHTML = '';
+    entries.forEach(entry => {
+        const card = document.createElement('div');
+        card.className = 'library-card';
+        
+        const strip = entry.colors.map(c => `<span style="background: ${escapeHtml(c.hex)}" title="${escapeHtml(`${c.name} · ${c.hex.toUpperCase()}`)}"></span>`).join('');
+        card.innerHTML = `
+            <div class="library-thumb">
+                ${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" alt="">` : ''}
+                <div class="library-strip">${strip}</div>
+            </div>
+            <div class="library-body">
+                <div class="library-name">${escapeHtml(entry.name)}</div>
+                <div class="library-meta">${entry.kind === 'scheme' ? 'Scheme' : 'Palette'} · ${entry.colors.length} colors · ${new Date(entry.updatedAt).toLocaleDateString()}</div>
+                <div class="library-tags">${entry.tags.map(t => `<span class="library-tag">${escapeHtml(t)}</span>`).join('')}</div>
+                <div class="library-actions">
+                    <select class="library-open">
+                        <option value="">Open in…</option>
+                        <option value="extract">Color Extractor</option>
+                        <option value="generator">Scheme Generator</option>
+                        <option value="preview">Previewer</option>
+                        <option value="contrast">Contrast Checker</option>
+                    </select>
+                    <button class="region-action" data-action="edit">Edit</button>
+                    <button class="region-action" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+        
+        card.querySelector('.library-open').onchange = (e) => {
+            if (e.target.value) openLibraryEntry(entry, e.target.value);
+            e.target.value = '';
+        };
+        card.querySelector('[data-action="edit"]').onclick = () => {
+            libraryDialogAction = { mode: 'edit', id: entry.id };
+            libraryDialogTitle.textContent = 'Edit Palette';
+            libraryName.value = entry.name;
+            libraryTags.value = entry.tags.join(', ');
+            libraryDialog.returnValue = '';
+            libraryDialog.showModal();
+        };
+        card.querySelector('[data-action="delete"]').onclick = async () => {
+            if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+            try {
+                await paletteLibrary.delete(entry.id);
+                renderLibrary();
+            } catch (err) {
+                showToast('Library error: ' + err.message);
+            }
+        };
+        
+        libraryGrid.appendChild(card);
+    });
 }
 
-function getLuminance(hex) {
-    const r = parseInt(hex.slice(1, 3), 16) / 255;
-    const g = parseInt(hex.slice(3, 5), 16) / 255;
-    const b = parseInt(hex.slice(5, 7), 16) / 255;
+function openLibraryEntry(entry, tabId) {
+    const [first, second] = entry.colors;
     
-    const a = [r, g, b].map(v => {
-        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    switch (tabId) {
+        case 'extract':
+            loadPaletteInto('palette', entry.colors, entry.name);
+            break;
+        case 'generator':
+            if (entry.meta.schemeType) {
+                schemeType.value = entry.meta.schemeType;
+                updateTonalControls();
+            }
+            if (entry.meta.baseColor) {
+                setColorInput(baseColor, baseColorHex, entry.meta.baseColor);
+            }
+            loadPaletteInto('scheme', entry.colors, entry.name);
+            break;
+        case 'preview':
+            loadPreviewPalette(entry.colors.map(c => c.hex));
+            break;
+        case 'contrast':
+            setContrastForeground(first.hex);
+            setColorInput(bgColorContrast, bgColorContrastHex, second ? second.hex : '#ffffff');
+            checkContrast();
+            break;
+    }
+    
+    activateTab(tabId);
+}
+
+// Color inputs have no alpha channel, so translucent colors are set opaque
+function setColorInput(input, label, hex) {
+    input.value = hex.slice(0, 7);
+    label.textContent = input.value.toUpperCase();
+}
+
+// Undo / Redo
+// The extractor palette and the generated scheme each keep their own stack of
+// snapshots. Ctrl+Z / Ctrl+Shift+Z act on the stack of the active tab.
+const HISTORY_LIMIT = 50;
+const HISTORY_TABS = { extract: 'palette', generator: 'scheme' };
+
+const historyStacks = {
+    palette: { entries: [{ label: 'Start', colors: [] }], index: 0 },
+    scheme: { entries: [{ label: 'Start', colors: [], info: '' }], index: 0 }
+};
+
+document.querySelectorAll('[data-history-action]').forEach(btn => {
+    const target = btn.closest('[data-history]').dataset.history;
+    btn.addEventListener('click', () => {
+        if (btn.dataset.historyAction === 'undo') {
+            undoHistory(target);
+        } else {
+            redoHistory(target);
+        }
     });
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
     
-    return a[0] * 0.2126 + a[1] * 0.7152 + a[2] * 0.0722;
+    // Leave text fields their own undo
+    const el = document.activeElement;
+    if (el && (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && el.type !== 'color' && el.type !== 'range'))) return;
+    
+    const activeTab = document.querySelector('.tab-btn.active');
+    const target = activeTab && HISTORY_TABS[activeTab.dataset.tab];
+    if (!target) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoHistory(target);
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoHistory(target);
+    }
+});
+
+function recordHistory(target, label) {
+    const stack = historyStacks[target];
+    const colors = target === 'scheme' ? currentScheme : extractedColors;
+    
+    stack.entries = stack.entries.slice(0, stack.index + 1);
+    stack.entries.push({
+        label,
+        colors: colors.map(c => Object.assign({}, c)),
+        info: target === 'scheme' ? schemeInfo.innerHTML : null
+    });
+    
+    if (stack.entries.length > HISTORY_LIMIT) {
+        stack.entries.splice(1, stack.entries.length - HISTORY_LIMIT);
+    }
+    stack.index = stack.entries.length - 1;
+    renderHistory(target);
+}
+
+function undoHistory(target) {
+    const stack = historyStacks[target];
+    if (stack.index > 0) {
+        goToHistory(target, stack.index - 1);
+        showToast(`Undo: ${stack.entries[stack.index + 1].label}`);
+    }
+}
+
+function redoHistory(target) {
+    const stack = historyStacks[target];
+    if (stack.index < stack.entries.length - 1) {
+        goToHistory(target, stack.index + 1);
+        showToast(`Redo: ${stack.entries[stack.index].label}`);
+    }
+}
+
+function goToHistory(target, index) {
+    const stack = historyStacks[target];
+    const entry = stack.entries[index];
+    stack.index = index;
+    
+    if (target === 'scheme') {
+        currentScheme = entry.colors.map(c => Object.assign({}, c));
+        displayScheme(currentScheme);
+        schemeInfo.innerHTML = entry.info;
+    } else if (entry.colors.length > 0) {
+        showExtractedPalette(entry.colors, false);
+    } else {
+        extractedColors = [];
+        paletteResults.style.display = 'none';
+        scheduleUrlStateSync();
+    }
+    
+    renderHistory(target);
+}
+
+function renderHistory(target) {
+    const stack = historyStacks[target];
+    const toolbar = document.querySelector(`[data-history="${target}"]`);
+    const list = toolbar.querySelector('.history-list');
+    
+    toolbar.querySelector('[data-history-action="undo"]').disabled = stack.index === 0;
+    toolbar.querySelector('[data-history-action="redo"]').disabled = stack.index === stack.entries.length - 1;
+    
+    list.innerHTML = '';
+    stack.entries.forEach((entry, i) => {
+        const item = document.createElement('li');
+        item.className = 'history-item' + (i === stack.index ? ' current' : '') + (i > stack.index ? ' future' : '');
+        item.innerHTML = `
+            <span class="history-strip">${entry.colors.slice(0, 10).map(c => `<span style="background: ${c.hex}"></span>`).join('')}</span>
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+        `;
+        item.onclick = () => goToHistory(target, i);
+        list.appendChild(item);
+    });
+    list.scrollTop = list.scrollHeight;
+}
+
+// Shareable Links
+// The state of every tab is kept in the URL hash, e.g.
+// #tab=generator&scheme=triadic&base=3498db&sc=3498db:Primary,...&pv=3498db,...,web
+// Each change pushes a history entry, so back/forward step through states.
+const HEX_PATTERN = /^[0-9a-f]{6}([0-9a-f]{2})?$/;
+
+let urlSyncTimer = null;
+let lastUrlState = null;
+
+document.querySelectorAll('[data-copy-link]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        syncUrlState();
+        navigator.clipboard.writeText(location.href).then(() => {
+            showToast('Link copied to clipboard!');
+        });
+    });
+});
+
+window.addEventListener('popstate', () => applyUrlState(location.hash));
+
+function scheduleUrlStateSync() {
+    clearTimeout(urlSyncTimer);
+    urlSyncTimer = setTimeout(syncUrlState, 400);
+}
+
+function syncUrlState() {
+    clearTimeout(urlSyncTimer);
+    
+    const state = buildUrlState();
+    if (state === lastUrlState) return;
+    
+    lastUrlState = state;
+    history.pushState(null, '', '#' + state);
+}
+
+function buildUrlState() {
+    const hex = value => value.slice(1).toLowerCase();
+    const activeTab = document.querySelector('.tab-btn.active');
+    const parts = [
+        `tab=${activeTab ? activeTab.dataset.tab : 'extract'}`,
+        `scheme=${schemeType.value}`,
+        `base=${hex(baseColor.value)}`,
+        `space=${schemeSpace.value}`
+    ];
+    
+    if (currentScheme.length > 0) {
+        parts.push('sc=' + currentScheme.map(c => `${hex(c.hex)}:${encodeURIComponent(c.name)}`).join(','));
+    }
+    if (extractedColors.length > 0) {
+        parts.push('pal=' + extractedColors.map(c => hex(c.hex)).join(','));
+    }
+    parts.push(`pv=${Object.values(getPreviewRoles()).map(hex).join(',')},${previewType.value}`);
+    parts.push(`ct=${hex(getContrastForeground())},${hex(bgColorContrast.value)}`);
+    
+    return parts.join('&');
+}
+
+function parseUrlState(hash) {
+    const state = {};
+    hash.replace(/^#/, '').split('&').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq > 0) {
+            state[part.slice(0, eq)] = part.slice(eq + 1);
+        }
+    });
+    return state;
+}
+
+// Pasted and truncated links often carry a broken % escape; keep the raw text
+// then. Either way the name is cleaned like an imported one.
+function decodeSchemeName(name = '') {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(name);
+    } catch (err) {
+        decoded = name;
+    }
+    return cleanColorName(decoded, 'Color');
+}
+
+// Anything missing from the hash falls back to the page defaults, so going
+// back to the original hash-less entry restores the initial state
+function applyUrlState(hash) {
+    const state = parseUrlState(hash);
+    const hexList = value => (value || '').split(',').map(v => v.toLowerCase()).filter(v => HEX_PATTERN.test(v));
+    const selectValue = (select, value) => {
+        const options = Array.from(select.options);
+        const option = options.find(o => o.value === value) || options.find(o => o.defaultSelected) || options[0];
+        select.value = option.value;
+    };
+    
+    selectValue(schemeType, state.scheme);
+    selectValue(schemeSpace, state.space);
+    updateTonalControls();
+    const base = hexList(state.base);
+    setColorInput(baseColor, baseColorHex, base.length === 1 ? '#' + base[0] : baseColor.defaultValue);
+    
+    currentScheme = (state.sc || '').split(',').map(entry => {
+        const [hex = '', name] = entry.split(':');
+        return HEX_PATTERN.test(hex.toLowerCase()) ? { hex: '#' + hex.toLowerCase(), name: decodeSchemeName(name) } : null;
+    }).filter(Boolean);
+    displayScheme(currentScheme);
+    if (currentScheme.length > 0) {
+        updateSchemeInfo(schemeType.value, schemeSpace.value);
+    } else {
+        schemeInfo.innerHTML = '';
+    }
+    
+    const palette = hexList(state.pal);
+    if (palette.length > 0) {
+        showExtractedPalette(palette.map(hex => ({ hex: '#' + hex, rgb: formatColor('#' + hex, 'rgb') })), false);
+    } else {
+        extractedColors = [];
+        paletteResults.style.display = 'none';
+    }
+    
+    // pv lists every role in PREVIEW_ROLES order, then the preview type. Older
+    // links only had primary and surface; text and muted are derived for those.
+    const pv = (state.pv || '').split(',');
+    const pvColors = hexList(pv.slice(0, -1).join(',')).map(hex => '#' + hex);
+    const roleNames = Object.keys(PREVIEW_ROLES);
+    const roles = Object.fromEntries(roleNames.map(role => [role, PREVIEW_ROLES[role].fallback]));
+    if (pvColors.length === roleNames.length) {
+        roleNames.forEach((role, i) => {
+            roles[role] = pvColors[i];
+        });
+    } else if (pvColors.length === 2) {
+        [roles.primary, roles.surface] = pvColors;
+        roles.text = getContrastColor(roles.surface);
+        roles.muted = deriveMutedColor(roles.text, roles.surface);
+    }
+    resetThemePair();
+    setPreviewRoles(roles);
+    selectValue(previewType, pv[pv.length - 1]);
+    updatePreview();
+    
+    const ctColors = hexList(state.ct);
+    setContrastForeground(ctColors.length === 2 ? '#' + ctColors[0] : fgColor.defaultValue);
+    setColorInput(bgColorContrast, bgColorContrastHex, ctColors.length === 2 ? '#' + ctColors[1] : bgColorContrast.defaultValue);
+    if (ctColors.length === 2) {
+        checkContrast(true);
+    }
+    
+    const tab = document.querySelector(`.tab-btn[data-tab="${state.tab}"]`) ? state.tab : 'extract';
+    activateTab(tab);
+    
+    // Restoring is not a new state: remember it without pushing history
+    clearTimeout(urlSyncTimer);
+    lastUrlState = buildUrlState();
+    if (hash.length > 1) {
+        history.replaceState(null, '', '#' + lastUrlState);
+    }
+}
+
+// Color Formats
+// Every swatch card can show its color in all COLOR_FORMATS; the header setting
+// picks the format copyToClipboard() uses for hex values.
+const copyFormat = document.getElementById('copyFormat');
+
+copyFormat.innerHTML = Object.entries(COLOR_FORMATS)
+    .map(([id, format]) => `<option value="${id}">${format.label}</option>`)
+    .join('');
+copyFormat.value = loadCopyFormat();
+
+copyFormat.addEventListener('change', () => {
+    try {
+        localStorage.setItem('copyFormat', copyFormat.value);
+    } catch (err) {
+        // Blocked storage only means the setting isn't remembered
+    }
+    showToast(`Colors will be copied as ${COLOR_FORMATS[copyFormat.value].label}`);
+});
+
+// Storage can be blocked (cookies disabled, sandboxed or file:// pages), and
+// a stored format may no longer exist; both fall back to HEX
+function loadCopyFormat() {
+    try {
+        const stored = localStorage.getItem('copyFormat');
+        return Object.prototype.hasOwnProperty.call(COLOR_FORMATS, stored) ? stored : 'hex';
+    } catch (err) {
+        return 'hex';
+    }
+}
+
+// The list is filled when first opened, so closed cards cost nothing
+function createColorFormats(hex) {
+    const details = document.createElement('details');
+    details.className = 'color-formats';
+    details.innerHTML = '<summary>All formats</summary><ul></ul>';
+    details.onclick = e => e.stopPropagation();
+    
+    details.addEventListener('toggle', () => {
+        const list = details.querySelector('ul');
+        if (!details.open || list.children.length > 0) return;
+        
+        Object.entries(COLOR_FORMATS).forEach(([id, format]) => {
+            const value = formatColor(hex, id);
+            const note = id === 'name' && !nearestNamedColor(hex).exact ? '≈ ' : '';
+            const row = document.createElement('li');
+            row.title = 'Click to copy';
+            row.innerHTML = `<span>${format.label}</span><code>${note}${escapeHtml(value)}</code>`;
+            row.onclick = () => copyToClipboard(value, null);
+            list.appendChild(row);
+        });
+    });
+    
+    return details;
+}
+
+// Color Vision Simulation
+// The header setting filters swatches, the uploaded image and the previewer
+// through an SVG color matrix (SVG filters work in linear RGB, like the
+// simulation matrices). Palettes also list the pairs that become hard to tell
+// apart for each deficiency.
+const cvdType = document.getElementById('cvdType');
+const cvdSeverity = document.getElementById('cvdSeverity');
+const cvdSeverityValue = document.getElementById('cvdSeverityValue');
+
+// CIEDE2000 below this and two colors are easily confused, especially as small swatches
+const CVD_CONFUSION_DELTA_E = 10;
+const CVD_REPORT_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+cvdType.innerHTML += Object.entries(CVD_TYPES)
+    .map(([id, type]) => `<option value="${id}">${type.label}</option>`)
+    .join('');
+
+cvdType.addEventListener('change', applyCvdSimulation);
+cvdSeverity.addEventListener('input', () => {
+    cvdSeverityValue.textContent = cvdSeverity.value;
+    applyCvdSimulation();
+});
+
+function applyCvdSimulation() {
+    const type = cvdType.value;
+    const active = type !== 'none';
+    cvdSeverity.disabled = !active || !CVD_TYPES[type].anomalous;
+    document.body.classList.toggle('cvd-active', active);
+    
+    if (active) {
+        const m = getCvdMatrix(type, cvdSeverity.value / 100);
+        document.getElementById('cvdMatrix').setAttribute('values', [
+            m[0], m[1], m[2], 0, 0,
+            m[3], m[4], m[5], 0, 0,
+            m[6], m[7], m[8], 0, 0,
+            0, 0, 0, 1, 0
+        ].join(' '));
+    }
+    
+    updateCvdReport('palette', extractedColors);
+    updateCvdReport('scheme', currentScheme);
+}
+
+// Pairs that are distinct for normal vision but not after simulation
+function findConfusablePairs(colors, type, severity = 1) {
+    const simulated = colors.map(c => simulateCvd(c.hex, type, severity));
+    const pairs = [];
+    
+    colors.forEach((a, i) => {
+        for (let j = i + 1; j < colors.length; j++) {
+            const before = deltaEHex(a.hex, colors[j].hex);
+            const after = deltaEHex(simulated[i], simulated[j]);
+            if (before >= CVD_CONFUSION_DELTA_E && after < CVD_CONFUSION_DELTA_E) {
+                pairs.push({ a: a.hex, b: colors[j].hex, deltaE: after });
+            }
+        }
+    });
+    
+    return pairs;
+}
+
+function updateCvdReport(target, colors) {
+    const report = document.querySelector(`[data-cvd-report="${target}"]`);
+    if (colors.length < 2) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    const types = CVD_REPORT_TYPES.slice();
+    if (cvdType.value !== 'none' && !types.includes(cvdType.value)) {
+        types.push(cvdType.value);
+    }
+    
+    const rows = types.map(type => {
+        const severity = cvdSeverity.value / 100;
+        const pairs = findConfusablePairs(colors, type, severity);
+        const label = CVD_TYPES[type].label + (CVD_TYPES[type].anomalous ? ` (${cvdSeverity.value}%)` : '');
+        const content = pairs.length === 0
+            ? '<span class="cvd-ok">✓ All colors stay distinguishable</span>'
+            : pairs.map(p => `
+                <span class="cvd-pair" title="${p.a.toUpperCase()} / ${p.b.toUpperCase()}">
+                    <i style="background: ${swatchBackground(p.a)}"></i><i style="background: ${swatchBackground(p.b)}"></i>
+                    ΔE ${p.deltaE.toFixed(1)}
+                </span>
+            `).join('');
+        return `<li><strong>${label}:</strong> ${content}</li>`;
+    }).join('');
+    
+    report.innerHTML = `<h4>👁️ Color Vision Check</h4><ul>${rows}</ul>`;
+    report.style.display = 'block';
 }
 
 // Utility Functions
-function copyToClipboard(text) {
-    navigator.clipboard.writeText(text).then(() => {
-        showToast(`Copied: ${text.toUpperCase()}`);
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[ch]);
+}
+
+// Hex values are converted to `format` (the copy format setting by default);
+// pass null to copy the text as is
+function copyToClipboard(text, format = copyFormat.value) {
+    const value = format && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(text) ? formatColor(text, format) : text;
+    
+    navigator.clipboard.writeText(value).then(() => {
+        showToast(`Copied: ${format === 'hex' ? value.toUpperCase() : value}`);
     });
 }
 
@@ -535,3 +3742,9 @@ function showToast(message) {
 
 // Initialize
 updatePreview();
+renderGradient();
+renderMixer();
+renderHistory('palette');
+renderHistory('scheme');
+
+applyUrlState(location.hash);
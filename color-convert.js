@@ -0,0 +1,818 @@
+// Color space conversions and color parsing/formatting shared by app.js, the
+// importers/exporters and the extraction code.
+// No DOM access here, so the file can also be loaded into a worker.
+
+// D65 reference white
+const REF_X = 0.95047;
+const REF_Y = 1.0;
+const REF_Z = 1.08883;
+const D65_WHITE = { x: REF_X, y: REF_Y, z: REF_Z };
+
+function srgbToLinear(v) {
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+    return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function clampChannel(v) {
+    return Math.max(0, Math.min(255, Math.round(v)));
+}
+
+function rgbToXyz(r, g, b) {
+    const lr = srgbToLinear(r / 255);
+    const lg = srgbToLinear(g / 255);
+    const lb = srgbToLinear(b / 255);
+
+    return {
+        x: lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375,
+        y: lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750,
+        z: lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041
+    };
+}
+
+function xyzToRgb(x, y, z) {
+    const lr = x * 3.2404542 + y * -1.5371385 + z * -0.4985314;
+    const lg = x * -0.9692660 + y * 1.8760108 + z * 0.0415560;
+    const lb = x * 0.0556434 + y * -0.2040259 + z * 1.0572252;
+
+    return {
+        r: clampChannel(linearToSrgb(lr) * 255),
+        g: clampChannel(linearToSrgb(lg) * 255),
+        b: clampChannel(linearToSrgb(lb) * 255)
+    };
+}
+
+function xyzToLab(x, y, z, white = D65_WHITE) {
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x / white.x);
+    const fy = f(y / white.y);
+    const fz = f(z / white.z);
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+function labToXyz(l, a, b, white = D65_WHITE) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const finv = t => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+
+    return {
+        x: finv(fx) * white.x,
+        y: (l > 8 ? fy * fy * fy : l / (24389 / 27)) * white.y,
+        z: finv(fz) * white.z
+    };
+}
+
+function rgbToLab(r, g, b) {
+    const xyz = rgbToXyz(r, g, b);
+    return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+function labToRgb(l, a, b) {
+    const xyz = labToXyz(l, a, b);
+    return xyzToRgb(xyz.x, xyz.y, xyz.z);
+}
+
+// CIEDE2000 color difference. Around 2.3 is a "just noticeable" difference.
+function deltaE(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const c1 = Math.hypot(lab1.a, lab1.b);
+    const c2 = Math.hypot(lab2.a, lab2.b);
+    const cMean = (c1 + c2) / 2;
+    const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+
+    const a1 = lab1.a * (1 + g);
+    const a2 = lab2.a * (1 + g);
+    const c1p = Math.hypot(a1, lab1.b);
+    const c2p = Math.hypot(a2, lab2.b);
+    const h1p = c1p === 0 ? 0 : (Math.atan2(lab1.b, a1) / rad + 360) % 360;
+    const h2p = c2p === 0 ? 0 : (Math.atan2(lab2.b, a2) / rad + 360) % 360;
+
+    const dL = lab2.l - lab1.l;
+    const dC = c2p - c1p;
+    let dh = 0;
+    if (c1p * c2p !== 0) {
+        dh = h2p - h1p;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin(dh * rad / 2);
+
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cpMean = (c1p + c2p) / 2;
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            hMean = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+        } else {
+            hMean = (h1p + h2p) / 2;
+        }
+    }
+
+    const t = 1
+        - 0.17 * Math.cos((hMean - 30) * rad)
+        + 0.24 * Math.cos(2 * hMean * rad)
+        + 0.32 * Math.cos((3 * hMean + 6) * rad)
+        - 0.20 * Math.cos((4 * hMean - 63) * rad);
+    const sL = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+    const sC = 1 + 0.045 * cpMean;
+    const sH = 1 + 0.015 * cpMean * t;
+    const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+    const rC = 2 * Math.sqrt(Math.pow(cpMean, 7) / (Math.pow(cpMean, 7) + Math.pow(25, 7)));
+    const rT = -Math.sin(2 * dTheta * rad) * rC;
+
+    return Math.sqrt(
+        Math.pow(dL / sL, 2) +
+        Math.pow(dC / sC, 2) +
+        Math.pow(dH / sH, 2) +
+        rT * (dC / sC) * (dH / sH)
+    );
+}
+
+// OKLab / OKLCH (Björn Ottosson). Lightness is 0-1, hue in degrees.
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r / 255);
+    const lg = srgbToLinear(g / 255);
+    const lb = srgbToLinear(b / 255);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+// Returns unclamped linear RGB, so callers can tell when a color is out of gamut
+function oklabToLinearRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    };
+}
+
+function oklabToRgb(L, a, b) {
+    const lin = oklabToLinearRgb(L, a, b);
+    return {
+        r: clampChannel(linearToSrgb(Math.max(0, lin.r)) * 255),
+        g: clampChannel(linearToSrgb(Math.max(0, lin.g)) * 255),
+        b: clampChannel(linearToSrgb(Math.max(0, lin.b)) * 255)
+    };
+}
+
+function rgbToOklch(r, g, b) {
+    const lab = rgbToOklab(r, g, b);
+    const c = Math.hypot(lab.a, lab.b);
+    const h = c < 1e-4 ? 0 : (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+    return { l: lab.l, c, h };
+}
+
+function oklchToOklab(l, c, h) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+function isOklchInGamut(l, c, h) {
+    const lab = oklchToOklab(l, c, h);
+    const lin = oklabToLinearRgb(lab.l, lab.a, lab.b);
+    const eps = 1e-4;
+    return [lin.r, lin.g, lin.b].every(v => v >= -eps && v <= 1 + eps);
+}
+
+// CSS Color 4 gamut mapping: lower chroma at constant lightness and hue until
+// the clipped color is within a just-noticeable OKLab difference
+function oklchToRgb(l, c, h) {
+    if (l >= 1) return { r: 255, g: 255, b: 255 };
+    if (l <= 0) return { r: 0, g: 0, b: 0 };
+
+    const clip = chroma => {
+        const lab = oklchToOklab(l, chroma, h);
+        return oklabToRgb(lab.l, lab.a, lab.b);
+    };
+
+    if (isOklchInGamut(l, c, h)) {
+        return clip(c);
+    }
+
+    const JND = 0.02;
+    let lo = 0;
+    let hi = c;
+    while (hi - lo > 0.0001) {
+        const mid = (lo + hi) / 2;
+        if (isOklchInGamut(l, mid, h)) {
+            lo = mid;
+            continue;
+        }
+        const clipped = clip(mid);
+        const clippedLab = rgbToOklab(clipped.r, clipped.g, clipped.b);
+        const target = oklchToOklab(l, mid, h);
+        const distance = Math.hypot(clippedLab.l - target.l, clippedLab.a - target.a, clippedLab.b - target.b);
+        if (distance < JND) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    return clip(lo);
+}
+
+// Accepts #rrggbb and #rrggbbaa; alpha is returned as 0-1
+function hexToRgb(hex) {
+    return {
+        r: parseInt(hex.slice(1, 3), 16),
+        g: parseInt(hex.slice(3, 5), 16),
+        b: parseInt(hex.slice(5, 7), 16),
+        a: hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1
+    };
+}
+
+// The opaque color seen when `top` (possibly translucent) is drawn over an
+// opaque `bottom`
+function compositeOver(top, bottom) {
+    const fg = hexToRgb(top);
+    const bg = hexToRgb(bottom);
+    const mix = (f, b) => f * fg.a + b * (1 - fg.a);
+    return rgbToHex(mix(fg.r, bg.r), mix(fg.g, bg.g), mix(fg.b, bg.b));
+}
+
+// The color at `t` (0-1) from one hex color to another, interpolated in
+// 'srgb', 'linear-rgb', 'oklab', 'oklch' or 'lch' (hue along the shorter arc;
+// a gray takes the other color's hue). Alpha is interpolated linearly.
+function interpolateColor(from, to, t, space = 'oklab') {
+    const a = hexToRgb(from);
+    const b = hexToRgb(to);
+    const lerp = (x, y) => x + (y - x) * t;
+    const lerpHue = (ca, cb) => {
+        const ha = ca.c < 1e-3 ? cb.h : ca.h;
+        const hb = cb.c < 1e-3 ? ha : cb.h;
+        const dh = ((hb - ha + 540) % 360) - 180;
+        return (ha + dh * t + 360) % 360;
+    };
+    let rgb;
+
+    switch (space) {
+        case 'linear-rgb': {
+            const channel = (x, y) => linearToSrgb(lerp(srgbToLinear(x / 255), srgbToLinear(y / 255))) * 255;
+            rgb = { r: channel(a.r, b.r), g: channel(a.g, b.g), b: channel(a.b, b.b) };
+            break;
+        }
+        case 'oklab': {
+            const la = rgbToOklab(a.r, a.g, a.b);
+            const lb = rgbToOklab(b.r, b.g, b.b);
+            rgb = oklabToRgb(lerp(la.l, lb.l), lerp(la.a, lb.a), lerp(la.b, lb.b));
+            break;
+        }
+        case 'oklch': {
+            const ca = rgbToOklch(a.r, a.g, a.b);
+            const cb = rgbToOklch(b.r, b.g, b.b);
+            rgb = oklchToRgb(lerp(ca.l, cb.l), lerp(ca.c, cb.c), lerpHue(ca, cb));
+            break;
+        }
+        case 'lch': {
+            const la = rgbToLab(a.r, a.g, a.b);
+            const lb = rgbToLab(b.r, b.g, b.b);
+            const ca = labToLch(la.l, la.a, la.b);
+            const cb = labToLch(lb.l, lb.a, lb.b);
+            const l = lerp(ca.l, cb.l);
+            const h = lerpHue(ca, cb);
+            // Midpoints outside sRGB lose chroma instead of being clipped
+            let c = lerp(ca.c, cb.c);
+            let lab = lchToLab(l, c, h);
+            rgb = labToRgb(lab.l, lab.a, lab.b);
+            while (c > 0 && deltaE(rgbToLab(rgb.r, rgb.g, rgb.b), lab) > 1) {
+                c = Math.max(0, c - 1);
+                lab = lchToLab(l, c, h);
+                rgb = labToRgb(lab.l, lab.a, lab.b);
+            }
+            break;
+        }
+        default:
+            rgb = { r: lerp(a.r, b.r), g: lerp(a.g, b.g), b: lerp(a.b, b.b) };
+    }
+
+    return rgbToHex(rgb.r, rgb.g, rgb.b, lerp(a.a, b.a));
+}
+
+// Separable blend modes on sRGB channels (0-1), as in CSS mix-blend-mode:
+// `base` is the color underneath, `top` the one blended onto it
+const BLEND_MODES = {
+    multiply: { label: 'Multiply', blend: (base, top) => base * top },
+    screen: { label: 'Screen', blend: (base, top) => base + top - base * top },
+    overlay: {
+        label: 'Overlay',
+        blend: (base, top) => base <= 0.5 ? 2 * base * top : 1 - 2 * (1 - base) * (1 - top)
+    }
+};
+
+// Alpha is ignored; the result is opaque
+function blendColors(base, top, mode) {
+    const b = hexToRgb(base);
+    const t = hexToRgb(top);
+    const blend = BLEND_MODES[mode].blend;
+    const channel = (x, y) => blend(x / 255, y / 255) * 255;
+    return rgbToHex(channel(b.r, t.r), channel(b.g, t.g), channel(b.b, t.b));
+}
+
+// CIEDE2000 between two hex colors, ignoring alpha
+function deltaEHex(hex1, hex2) {
+    const a = hexToRgb(hex1);
+    const b = hexToRgb(hex2);
+    return deltaE(rgbToLab(a.r, a.g, a.b), rgbToLab(b.r, b.g, b.b));
+}
+
+// Alpha (0-1) is written as a fourth byte only when the color is translucent
+function rgbToHex(r, g, b, a = 1) {
+    const channels = a < 1 ? [r, g, b, a * 255] : [r, g, b];
+    return '#' + channels.map(v => clampChannel(v).toString(16).padStart(2, '0')).join('');
+}
+
+// HSL, HSV and HWB use hue in degrees and the other components in 0-100
+function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    let h, s, l = (max + min) / 2;
+
+    if (max === min) {
+        h = s = 0;
+    } else {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+        switch (max) {
+            case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
+            case g: h = ((b - r) / d + 2) / 6; break;
+            case b: h = ((r - g) / d + 4) / 6; break;
+        }
+    }
+
+    return { h: h * 360, s: s * 100, l: l * 100 };
+}
+
+function hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+
+    const a = s * Math.min(l, 1 - l);
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        return clampChannel(255 * (l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1)));
+    };
+
+    return { r: f(0), g: f(8), b: f(4) };
+}
+
+function hexToHsl(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return rgbToHsl(r, g, b);
+}
+
+function hslToHex(h, s, l) {
+    const { r, g, b } = hslToRgb(h, s, l);
+    return rgbToHex(r, g, b);
+}
+
+function rgbToHsv(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+
+    return {
+        h: rgbToHsl(r, g, b).h,
+        s: max === 0 ? 0 : (max - min) / max * 100,
+        v: max / 255 * 100
+    };
+}
+
+function hsvToRgb(h, s, v) {
+    s /= 100;
+    v /= 100;
+
+    const f = n => {
+        const k = (n + h / 60) % 6;
+        return clampChannel(255 * (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))));
+    };
+
+    return { r: f(5), g: f(3), b: f(1) };
+}
+
+function rgbToHwb(r, g, b) {
+    return {
+        h: rgbToHsl(r, g, b).h,
+        w: Math.min(r, g, b) / 255 * 100,
+        b: (1 - Math.max(r, g, b) / 255) * 100
+    };
+}
+
+function hwbToRgb(h, w, b) {
+    w /= 100;
+    b /= 100;
+
+    if (w + b >= 1) {
+        const gray = clampChannel(w / (w + b) * 255);
+        return { r: gray, g: gray, b: gray };
+    }
+
+    const pure = hslToRgb(h, 100, 50);
+    const mix = v => clampChannel(v * (1 - w - b) + w * 255);
+    return { r: mix(pure.r), g: mix(pure.g), b: mix(pure.b) };
+}
+
+// Naive (uncalibrated) CMYK, components in 0-100
+function rgbToCmyk(r, g, b) {
+    const k = 1 - Math.max(r, g, b) / 255;
+    if (k >= 1) {
+        return { c: 0, m: 0, y: 0, k: 100 };
+    }
+
+    const ink = v => (1 - v / 255 - k) / (1 - k) * 100;
+    return { c: ink(r), m: ink(g), y: ink(b), k: k * 100 };
+}
+
+function cmykToRgb(c, m, y, k) {
+    const paper = 255 * (1 - k / 100);
+    return {
+        r: clampChannel(paper * (1 - c / 100)),
+        g: clampChannel(paper * (1 - m / 100)),
+        b: clampChannel(paper * (1 - y / 100))
+    };
+}
+
+function labToLch(l, a, b) {
+    const c = Math.hypot(a, b);
+    return { l, c, h: c < 1e-4 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360 };
+}
+
+function lchToLab(l, c, h) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+// CSS lab() and lch() are relative to D50, so XYZ is Bradford-adapted first.
+// rgbToLab() above stays D65, which is what the Delta-E code expects.
+const D50_WHITE = { x: 0.3457 / 0.3585, y: 1, z: (1 - 0.3457 - 0.3585) / 0.3585 };
+
+function rgbToCssLab(r, g, b) {
+    const { x, y, z } = rgbToXyz(r, g, b);
+    return xyzToLab(
+        x * 1.0479298208 + y * 0.0229467933 + z * -0.0501922295,
+        x * 0.0296278157 + y * 0.9904344846 + z * -0.0170738250,
+        x * -0.0092430582 + y * 0.0150551449 + z * 0.7518742900,
+        D50_WHITE
+    );
+}
+
+function cssLabToRgb(l, a, b) {
+    const { x, y, z } = labToXyz(l, a, b, D50_WHITE);
+    return xyzToRgb(
+        x * 0.9554734527 + y * -0.0230985369 + z * 0.0632593087,
+        x * -0.0283697070 + y * 1.0099954580 + z * 0.0210413990,
+        x * 0.0123140017 + y * -0.0205076964 + z * 1.3303659366
+    );
+}
+
+const CSS_NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+    firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+    ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+    greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+    lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+    lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+    magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+    mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+let namedColorLabs = null;
+
+// Closest CSS named color by CIEDE2000; `exact` is true for a perfect match
+function nearestNamedColor(hex) {
+    if (!namedColorLabs) {
+        namedColorLabs = Object.entries(CSS_NAMED_COLORS).map(([name, value]) => {
+            const rgb = hexToRgb('#' + value);
+            return { name, hex: '#' + value, lab: rgbToLab(rgb.r, rgb.g, rgb.b) };
+        });
+    }
+
+    const target = hex.toLowerCase();
+    const exact = namedColorLabs.find(entry => entry.hex === target);
+    if (exact) {
+        return { name: exact.name, exact: true, distance: 0 };
+    }
+
+    const { r, g, b } = hexToRgb(target);
+    const lab = rgbToLab(r, g, b);
+    let best = null;
+    namedColorLabs.forEach(entry => {
+        const distance = deltaE(lab, entry.lab);
+        if (!best || distance < best.distance) {
+            best = { name: entry.name, exact: false, distance };
+        }
+    });
+    return best;
+}
+
+// Text representations offered for copying. Non-CSS models (HSV, CMYK) use
+// the conventional function-like notation. `alpha` says how translucent colors
+// are written: 'legacy' as rgba()/hsla(), 'slash' as "... / alpha)", and
+// formats without it (HEX carries its own alpha, names have none) leave it out.
+const roundTo = (value, digits = 0) => Number(value.toFixed(digits));
+
+const COLOR_FORMATS = {
+    hex: { label: 'HEX', format: hex => hex.toLowerCase() },
+    rgb: {
+        label: 'RGB',
+        alpha: 'legacy',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            return `rgb(${r}, ${g}, ${b})`;
+        }
+    },
+    hsl: {
+        label: 'HSL',
+        alpha: 'legacy',
+        format: hex => {
+            const { h, s, l } = hexToHsl(hex);
+            return `hsl(${roundTo(h)}, ${roundTo(s)}%, ${roundTo(l)}%)`;
+        }
+    },
+    hsv: {
+        label: 'HSV',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const { h, s, v } = rgbToHsv(r, g, b);
+            return `hsv(${roundTo(h)}, ${roundTo(s)}%, ${roundTo(v)}%)`;
+        }
+    },
+    hwb: {
+        label: 'HWB',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const hwb = rgbToHwb(r, g, b);
+            return `hwb(${roundTo(hwb.h)} ${roundTo(hwb.w)}% ${roundTo(hwb.b)}%)`;
+        }
+    },
+    cmyk: {
+        label: 'CMYK',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const { c, m, y, k } = rgbToCmyk(r, g, b);
+            return `cmyk(${roundTo(c)}%, ${roundTo(m)}%, ${roundTo(y)}%, ${roundTo(k)}%)`;
+        }
+    },
+    xyz: {
+        label: 'XYZ',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const { x, y, z } = rgbToXyz(r, g, b);
+            return `color(xyz-d65 ${roundTo(x, 4)} ${roundTo(y, 4)} ${roundTo(z, 4)})`;
+        }
+    },
+    lab: {
+        label: 'Lab',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const lab = rgbToCssLab(r, g, b);
+            return `lab(${roundTo(lab.l, 2)}% ${roundTo(lab.a, 2)} ${roundTo(lab.b, 2)})`;
+        }
+    },
+    lch: {
+        label: 'LCH',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const lab = rgbToCssLab(r, g, b);
+            const lch = labToLch(lab.l, lab.a, lab.b);
+            return `lch(${roundTo(lch.l, 2)}% ${roundTo(lch.c, 2)} ${roundTo(lch.h, 1)})`;
+        }
+    },
+    oklab: {
+        label: 'OKLab',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const lab = rgbToOklab(r, g, b);
+            return `oklab(${roundTo(lab.l * 100, 2)}% ${roundTo(lab.a, 4)} ${roundTo(lab.b, 4)})`;
+        }
+    },
+    oklch: {
+        label: 'OKLCH',
+        alpha: 'slash',
+        format: hex => {
+            const { r, g, b } = hexToRgb(hex);
+            const lch = rgbToOklch(r, g, b);
+            return `oklch(${roundTo(lch.l * 100, 2)}% ${roundTo(lch.c, 4)} ${roundTo(lch.h, 1)})`;
+        }
+    },
+    name: { label: 'CSS Name', format: hex => nearestNamedColor(hex).name }
+};
+
+function formatColor(hex, format) {
+    const entry = COLOR_FORMATS[format] || COLOR_FORMATS.hex;
+    const text = entry.format(hex);
+    const alpha = roundTo(hexToRgb(hex).a, 3);
+
+    if (alpha >= 1 || !entry.alpha) {
+        return text;
+    }
+    return entry.alpha === 'legacy'
+        ? text.replace(/^(\w+)\((.*)\)$/, `$1a($2, ${alpha})`)
+        : text.replace(/\)$/, ` / ${alpha})`);
+}
+
+// Parses hex (3, 4, 6 or 8 digits), rgb(), hsl(), hwb(), lab(), lch(),
+// oklab(), oklch(), color(xyz...), named colors and our hsv()/cmyk()
+// notation, in either comma or space syntax, with optional alpha.
+// Returns { r, g, b, a } or null.
+function parseColor(value) {
+    const text = String(value).trim().toLowerCase();
+
+    if (CSS_NAMED_COLORS[text]) {
+        return hexToRgb('#' + CSS_NAMED_COLORS[text]);
+    }
+    if (text === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    let m = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (m) {
+        const digits = m[1].length <= 4 ? m[1].split('').map(ch => ch + ch).join('') : m[1];
+        return hexToRgb('#' + digits);
+    }
+
+    m = text.match(/^([a-z]+)\(\s*(.*?)\s*\)$/);
+    if (!m) return null;
+
+    let fn = m[1];
+    const [channels, alphaToken] = m[2].split(/\s*\/\s*/);
+    let args = channels.split(/\s*,\s*|\s+/);
+    let alphaArg = alphaToken;
+    if (fn === 'color') {
+        if (!/^xyz(-d65)?$/.test(args[0])) return null;
+        fn = 'xyz';
+        args = args.slice(1);
+    }
+    if (args.length === 4 && /^(rgba?|hsla?)$/.test(fn)) {
+        alphaArg = args[3];
+        args = args.slice(0, 3);
+    }
+    if (args.length !== (fn === 'cmyk' ? 4 : 3)) return null;
+
+    // Numbers, percentages (scaled to `percentOf`) and angles in deg/turn/rad
+    const num = (token, percentOf = 100) => {
+        const n = token.match(/^(-?(?:\d+\.?\d*|\.\d+))(%|deg|turn|rad)?$/);
+        if (!n) return NaN;
+        const v = parseFloat(n[1]);
+        switch (n[2]) {
+            case '%': return v / 100 * percentOf;
+            case 'turn': return v * 360;
+            case 'rad': return v * 180 / Math.PI;
+            default: return v;
+        }
+    };
+
+    let rgb;
+    switch (fn) {
+        case 'rgb':
+        case 'rgba': {
+            const channels = args.map(token => num(token, 255));
+            if (channels.some(v => isNaN(v) || v < 0 || v > 255)) return null;
+            rgb = { r: channels[0], g: channels[1], b: channels[2] };
+            break;
+        }
+        case 'hsl':
+        case 'hsla':
+            rgb = hslToRgb((num(args[0]) % 360 + 360) % 360, num(args[1]), num(args[2]));
+            break;
+        case 'hwb':
+            rgb = hwbToRgb((num(args[0]) % 360 + 360) % 360, num(args[1]), num(args[2]));
+            break;
+        case 'hsv':
+            rgb = hsvToRgb((num(args[0]) % 360 + 360) % 360, num(args[1]), num(args[2]));
+            break;
+        case 'cmyk':
+            rgb = cmykToRgb(num(args[0]), num(args[1]), num(args[2]), num(args[3]));
+            break;
+        case 'lab':
+            rgb = cssLabToRgb(num(args[0]), num(args[1], 125), num(args[2], 125));
+            break;
+        case 'lch': {
+            const lab = lchToLab(num(args[0]), num(args[1], 150), num(args[2]));
+            rgb = cssLabToRgb(lab.l, lab.a, lab.b);
+            break;
+        }
+        case 'oklab':
+            rgb = oklabToRgb(num(args[0], 1), num(args[1], 0.4), num(args[2], 0.4));
+            break;
+        case 'oklch':
+            rgb = oklchToRgb(num(args[0], 1), num(args[1], 0.4), num(args[2]));
+            break;
+        case 'xyz':
+            rgb = xyzToRgb(num(args[0], 1), num(args[1], 1), num(args[2], 1));
+            break;
+        default:
+            return null;
+    }
+
+    const a = alphaArg === undefined ? 1 : num(alphaArg, 1);
+    if ([rgb.r, rgb.g, rgb.b, a].some(v => isNaN(v))) return null;
+    return { r: clampChannel(rgb.r), g: clampChannel(rgb.g), b: clampChannel(rgb.b), a: Math.max(0, Math.min(1, a)) };
+}
+
+// Color vision deficiency simulation. Dichromacy uses the Machado, Oliveira &
+// Fernandes (2009) matrices at full severity, applied in linear RGB; the
+// anomalous variants blend from identity toward them by `severity` (0-1).
+// Achromatopsia keeps only relative luminance.
+const CVD_MATRICES = {
+    protan: [
+        0.152286, 1.052583, -0.204868,
+        0.114503, 0.786281, 0.099216,
+        -0.003882, -0.048116, 1.051998
+    ],
+    deutan: [
+        0.367322, 0.860646, -0.227968,
+        0.280085, 0.672501, 0.047413,
+        -0.011820, 0.042940, 0.968881
+    ],
+    tritan: [
+        1.255528, -0.076749, -0.178779,
+        -0.078411, 0.930809, 0.147602,
+        0.004733, 0.691367, 0.303900
+    ],
+    achroma: [
+        0.2126, 0.7152, 0.0722,
+        0.2126, 0.7152, 0.0722,
+        0.2126, 0.7152, 0.0722
+    ]
+};
+
+const CVD_TYPES = {
+    protanopia: { label: 'Protanopia', matrix: 'protan', anomalous: false },
+    protanomaly: { label: 'Protanomaly', matrix: 'protan', anomalous: true },
+    deuteranopia: { label: 'Deuteranopia', matrix: 'deutan', anomalous: false },
+    deuteranomaly: { label: 'Deuteranomaly', matrix: 'deutan', anomalous: true },
+    tritanopia: { label: 'Tritanopia', matrix: 'tritan', anomalous: false },
+    tritanomaly: { label: 'Tritanomaly', matrix: 'tritan', anomalous: true },
+    achromatopsia: { label: 'Achromatopsia', matrix: 'achroma', anomalous: false },
+    achromatomaly: { label: 'Achromatomaly', matrix: 'achroma', anomalous: true }
+};
+
+// Row-major 3×3 matrix; severity only applies to the anomalous types
+function getCvdMatrix(type, severity = 1) {
+    const entry = CVD_TYPES[type];
+    const amount = entry.anomalous ? severity : 1;
+    return CVD_MATRICES[entry.matrix].map((v, i) => (i % 4 === 0 ? 1 : 0) * (1 - amount) + v * amount);
+}
+
+// Alpha is kept as is
+function simulateCvd(hex, type, severity = 1) {
+    const m = getCvdMatrix(type, severity);
+    const { r, g, b, a } = hexToRgb(hex);
+    const lin = [r, g, b].map(v => srgbToLinear(v / 255));
+    const out = [0, 1, 2].map(row => linearToSrgb(m[row * 3] * lin[0] + m[row * 3 + 1] * lin[1] + m[row * 3 + 2] * lin[2]) * 255);
+    return rgbToHex(out[0], out[1], out[2], a);
+}
@@ -0,0 +1,471 @@
+// Palette extraction strategies for the Color Extractor.
+// Every strategy clusters sampled pixels in CIELAB plus alpha and returns
+// clusters of the form { l, a, b, alpha, count }; quantizePixels() then merges
+// clusters that are perceptually too close and converts the result back to RGBA.
+// Depends on color-convert.js.
+
+const QUANTIZERS = {
+    'median-cut': medianCut,
+    'kmeans': kMeans,
+    'octree': octree,
+    'grid': gridQuantize
+};
+
+const DEFAULT_QUANTIZE_OPTIONS = {
+    algorithm: 'median-cut',
+    colorCount: 10,
+    mergeThreshold: 5,
+    sampleStep: 10,
+    maxPixels: 250000
+};
+
+// Pixels with a lower alpha byte are treated as fully transparent and skipped
+const MIN_ALPHA = 8;
+
+// Alpha is clustered as a fourth dimension next to Lab, scaled so that going
+// from opaque to fully transparent weighs as much as going from black to white
+const ALPHA_WEIGHT = 100;
+
+// Clusters are only merged when their alpha differs by less than this
+const ALPHA_MERGE_TOLERANCE = 0.1;
+
+// Largest size with the same aspect ratio that fits in `maxPixels`
+function fitPixelBudget(width, height, maxPixels) {
+    if (width * height <= maxPixels) {
+        return { width, height };
+    }
+    const scale = Math.sqrt(maxPixels / (width * height));
+    return {
+        width: Math.max(1, Math.floor(width * scale)),
+        height: Math.max(1, Math.floor(height * scale))
+    };
+}
+
+function quantizePixels(data, options = {}) {
+    const opts = Object.assign({}, DEFAULT_QUANTIZE_OPTIONS, options);
+    const quantizer = QUANTIZERS[opts.algorithm];
+
+    if (!quantizer) {
+        throw new Error(`Unknown extraction algorithm: ${opts.algorithm}`);
+    }
+
+    // Sampling takes the first 30% of reported progress, clustering the next 60%
+    let lastReported = -1;
+    const report = value => {
+        if (opts.onProgress && (value >= 1 || value - lastReported >= 0.02)) {
+            lastReported = value;
+            opts.onProgress(Math.min(1, value));
+        }
+    };
+
+    const samples = samplePixels(data, opts.sampleStep, p => report(p * 0.3));
+    if (samples.count === 0) {
+        report(1);
+        return [];
+    }
+
+    // Ask for more clusters than we show so merging still leaves enough swatches
+    const clusters = quantizer(samples, opts.colorCount * 2, p => report(0.3 + p * 0.6));
+    const merged = mergeClusters(clusters, opts.mergeThreshold);
+    report(1);
+
+    return clustersToColors(merged, samples.count, opts.colorCount);
+}
+
+// Combine per-image palettes (as returned by quantizePixels) into one palette,
+// giving every image the same total weight regardless of its size
+function mergePalettes(palettes, options = {}) {
+    const opts = Object.assign({}, DEFAULT_QUANTIZE_OPTIONS, options);
+    const clusters = [];
+
+    palettes.forEach(palette => {
+        palette.forEach(c => {
+            const lab = rgbToLab(c.r, c.g, c.b);
+            const alpha = c.a === undefined ? 1 : c.a;
+            clusters.push({ l: lab.l, a: lab.a, b: lab.b, alpha, count: c.percent / palettes.length });
+        });
+    });
+
+    return clustersToColors(mergeClusters(clusters, opts.mergeThreshold), 100, opts.colorCount);
+}
+
+// How much of each `palette` entry a set of colors accounts for, assigning
+// every color to its nearest palette entry
+function paletteShare(colors, palette) {
+    const labs = palette.map(p => rgbToLab(p.r, p.g, p.b));
+    const shares = new Array(palette.length).fill(0);
+
+    colors.forEach(c => {
+        const lab = rgbToLab(c.r, c.g, c.b);
+        let best = 0;
+        labs.forEach((p, i) => {
+            if (deltaE(lab, p) < deltaE(lab, labs[best])) best = i;
+        });
+        shares[best] += c.percent;
+    });
+
+    return shares;
+}
+
+function clustersToColors(clusters, total, colorCount) {
+    return clusters
+        .sort((a, b) => b.count - a.count)
+        .slice(0, colorCount)
+        .map(c => {
+            const rgb = labToRgb(c.l, c.a, c.b);
+            // Anti-aliased edges pull the average of opaque shapes just below 1
+            const alpha = c.alpha >= 0.98 ? 1 : Math.round(c.alpha * 255) / 255;
+            return {
+                r: rgb.r,
+                g: rgb.g,
+                b: rgb.b,
+                a: alpha,
+                count: c.count,
+                percent: c.count / total * 100
+            };
+        });
+}
+
+// Samples are stored four values apiece: rgba bytes in `rgba`, and in `lab`
+// the L, a, b coordinates followed by alpha scaled by ALPHA_WEIGHT
+function samplePixels(data, step, report = () => {}) {
+    const stride = Math.max(1, step) * 4;
+    const max = Math.ceil(data.length / stride);
+    const rgba = new Uint8Array(max * 4);
+    const lab = new Float32Array(max * 4);
+    const labCache = new Map();
+    let count = 0;
+
+    for (let i = 0; i < data.length; i += stride) {
+        if ((i / stride) % 16384 === 0) report(i / data.length);
+        if (data[i + 3] < MIN_ALPHA) continue;
+
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const key = (r << 16) | (g << 8) | b;
+
+        let c = labCache.get(key);
+        if (!c) {
+            c = rgbToLab(r, g, b);
+            labCache.set(key, c);
+        }
+
+        const p = count * 4;
+        rgba[p] = r;
+        rgba[p + 1] = g;
+        rgba[p + 2] = b;
+        rgba[p + 3] = data[i + 3];
+        lab[p] = c.l;
+        lab[p + 1] = c.a;
+        lab[p + 2] = c.b;
+        lab[p + 3] = data[i + 3] / 255 * ALPHA_WEIGHT;
+        count++;
+    }
+
+    return { rgba, lab, count };
+}
+
+// Greedily fold smaller clusters into larger ones closer than `threshold` Delta-E
+function mergeClusters(clusters, threshold) {
+    const sorted = clusters.filter(c => c.count > 0).sort((a, b) => b.count - a.count);
+    if (!threshold || threshold <= 0) {
+        return sorted;
+    }
+
+    const merged = [];
+    sorted.forEach(cluster => {
+        const target = merged.find(m => (
+            deltaE(m, cluster) < threshold && Math.abs(m.alpha - cluster.alpha) < ALPHA_MERGE_TOLERANCE
+        ));
+        if (target) {
+            const total = target.count + cluster.count;
+            target.l = (target.l * target.count + cluster.l * cluster.count) / total;
+            target.a = (target.a * target.count + cluster.a * cluster.count) / total;
+            target.b = (target.b * target.count + cluster.b * cluster.count) / total;
+            target.alpha = (target.alpha * target.count + cluster.alpha * cluster.count) / total;
+            target.count = total;
+        } else {
+            merged.push(Object.assign({}, cluster));
+        }
+    });
+
+    return merged;
+}
+
+function clusterFromIndices(lab, indices) {
+    let l = 0, a = 0, b = 0, alpha = 0;
+    for (let i = 0; i < indices.length; i++) {
+        const p = indices[i] * 4;
+        l += lab[p];
+        a += lab[p + 1];
+        b += lab[p + 2];
+        alpha += lab[p + 3];
+    }
+    const n = indices.length;
+    return { l: l / n, a: a / n, b: b / n, alpha: alpha / n / ALPHA_WEIGHT, count: n };
+}
+
+// Legacy strategy: round each RGBA channel to 16 and count frequencies
+function gridQuantize(samples) {
+    const colorMap = new Map();
+    const round16 = v => Math.min(255, Math.round(v / 16) * 16);
+
+    for (let i = 0; i < samples.count; i++) {
+        const p = i * 4;
+        const rgb = (round16(samples.rgba[p]) << 16) | (round16(samples.rgba[p + 1]) << 8) | round16(samples.rgba[p + 2]);
+        const key = rgb * 256 + round16(samples.rgba[p + 3]);
+        colorMap.set(key, (colorMap.get(key) || 0) + 1);
+    }
+
+    return Array.from(colorMap, ([key, count]) => {
+        const rgb = Math.floor(key / 256);
+        const lab = rgbToLab((rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255);
+        return { l: lab.l, a: lab.a, b: lab.b, alpha: (key % 256) / 255, count };
+    });
+}
+
+// Median cut: repeatedly split the box with the widest Lab/alpha range at its median
+function medianCut(samples, k, report = () => {}) {
+    const { lab, count } = samples;
+    const indices = new Uint32Array(count);
+    for (let i = 0; i < count; i++) indices[i] = i;
+
+    const describe = (start, end) => {
+        const min = [Infinity, Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            const p = indices[i] * 4;
+            for (let c = 0; c < 4; c++) {
+                if (lab[p + c] < min[c]) min[c] = lab[p + c];
+                if (lab[p + c] > max[c]) max[c] = lab[p + c];
+            }
+        }
+        const ranges = max.map((v, c) => v - min[c]);
+        const axis = ranges.indexOf(Math.max(...ranges));
+        return { start, end, axis, range: ranges[axis], score: (end - start) * ranges[axis] };
+    };
+
+    // Split at the median value rather than the median index, so every pixel
+    // of one color stays in the same box; whichever side of the run of median
+    // values gives the more even split wins
+    const splitPoint = (start, end, axis) => {
+        const value = i => lab[indices[i] * 4 + axis];
+        const median = value(start + Math.floor((end - start) / 2));
+        let lower = start;
+        while (value(lower) < median) lower++;
+        let upper = lower;
+        while (upper < end && value(upper) === median) upper++;
+
+        const middle = (start + end) / 2;
+        if (lower === start) return upper;
+        if (upper === end) return lower;
+        return Math.abs(lower - middle) <= Math.abs(upper - middle) ? lower : upper;
+    };
+
+    const boxes = [describe(0, count)];
+
+    // The box to split is the one with the most pixels spread over the widest range
+    while (boxes.length < k) {
+        report(boxes.length / k);
+        let target = -1;
+        boxes.forEach((box, i) => {
+            if (box.range > 0 && (target === -1 || box.score > boxes[target].score)) {
+                target = i;
+            }
+        });
+        if (target === -1) break;
+
+        const box = boxes[target];
+        const axis = box.axis;
+        indices.subarray(box.start, box.end).sort((x, y) => lab[x * 4 + axis] - lab[y * 4 + axis]);
+
+        const mid = splitPoint(box.start, box.end, axis);
+        boxes.splice(target, 1, describe(box.start, mid), describe(mid, box.end));
+    }
+
+    return boxes.map(box => clusterFromIndices(lab, indices.subarray(box.start, box.end)));
+}
+
+// K-means with deterministic k-means++ seeding so the same image gives the same palette
+function kMeans(samples, k, report = () => {}) {
+    const maxIterations = 16;
+    const { lab, count } = samples;
+    const random = seededRandom(count);
+    const centroids = [];
+
+    const first = Math.floor(random() * count) * 4;
+    centroids.push(Array.from(lab.subarray(first, first + 4)));
+
+    const distances = new Float64Array(count).fill(Infinity);
+    while (centroids.length < Math.min(k, count)) {
+        const last = centroids[centroids.length - 1];
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            const d = squaredDistance(lab, i * 4, last);
+            if (d < distances[i]) distances[i] = d;
+            total += distances[i];
+        }
+        if (total === 0) break;
+
+        let pick = random() * total;
+        let chosen = count - 1;
+        for (let i = 0; i < count; i++) {
+            pick -= distances[i];
+            if (pick <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+        centroids.push(Array.from(lab.subarray(chosen * 4, chosen * 4 + 4)));
+    }
+
+    const assignments = new Int32Array(count).fill(-1);
+    const sums = centroids.map(() => [0, 0, 0, 0, 0]);
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        report(iter / maxIterations);
+        let changed = 0;
+        sums.forEach(s => s.fill(0));
+
+        for (let i = 0; i < count; i++) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let c = 0; c < centroids.length; c++) {
+                const d = squaredDistance(lab, i * 4, centroids[c]);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = c;
+                }
+            }
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed++;
+            }
+            const s = sums[best];
+            for (let k = 0; k < 4; k++) s[k] += lab[i * 4 + k];
+            s[4]++;
+        }
+
+        centroids.forEach((centroid, c) => {
+            const s = sums[c];
+            if (s[4] > 0) {
+                for (let k = 0; k < 4; k++) centroid[k] = s[k] / s[4];
+            }
+        });
+
+        if (changed <= count * 0.005) break;
+    }
+
+    return centroids.map((centroid, c) => ({
+        l: centroid[0],
+        a: centroid[1],
+        b: centroid[2],
+        alpha: centroid[3] / ALPHA_WEIGHT,
+        count: sums[c][4]
+    }));
+}
+
+// Octree over Lab (and alpha, making it a 16-way tree) scaled to 0-255 per
+// axis, reducing the sparsest nodes first
+function octree(samples, k, report = () => {}) {
+    const maxDepth = 5;
+    const { lab, count } = samples;
+    const levels = Array.from({ length: maxDepth }, () => []);
+    let leafCount = 0;
+
+    const createNode = depth => {
+        const node = { children: null, leaf: depth === maxDepth, count: 0, l: 0, a: 0, b: 0, alpha: 0 };
+        if (node.leaf) {
+            leafCount++;
+        } else {
+            node.children = new Array(16).fill(null);
+            levels[depth].push(node);
+        }
+        return node;
+    };
+
+    const root = createNode(0);
+
+    for (let i = 0; i < count; i++) {
+        if (i % 16384 === 0) report(i / count * 0.9);
+        const l = lab[i * 4], a = lab[i * 4 + 1], b = lab[i * 4 + 2], alpha = lab[i * 4 + 3];
+        const bytes = [
+            clampChannel(l * 2.55),
+            clampChannel(a + 128),
+            clampChannel(b + 128),
+            clampChannel(alpha / ALPHA_WEIGHT * 255)
+        ];
+
+        let node = root;
+        for (let depth = 0; depth <= maxDepth; depth++) {
+            node.count++;
+            node.l += l;
+            node.a += a;
+            node.b += b;
+            node.alpha += alpha;
+            if (node.leaf) break;
+
+            const shift = 7 - depth;
+            const index = (((bytes[0] >> shift) & 1) << 3) |
+                (((bytes[1] >> shift) & 1) << 2) |
+                (((bytes[2] >> shift) & 1) << 1) |
+                ((bytes[3] >> shift) & 1);
+            if (!node.children[index]) {
+                node.children[index] = createNode(depth + 1);
+            }
+            node = node.children[index];
+        }
+    }
+
+    // Sums are accumulated on every level, so reducing a node just drops its children
+    for (let depth = maxDepth - 1; depth >= 0 && leafCount > k; depth--) {
+        const level = levels[depth].sort((x, y) => y.count - x.count);
+        while (level.length && leafCount > k) {
+            const node = level.pop();
+            const childCount = node.children.filter(Boolean).length;
+            node.children = null;
+            node.leaf = true;
+            leafCount -= childCount - 1;
+        }
+    }
+
+    const clusters = [];
+    const collect = node => {
+        if (node.leaf) {
+            if (node.count > 0) {
+                clusters.push({
+                    l: node.l / node.count,
+                    a: node.a / node.count,
+                    b: node.b / node.count,
+                    alpha: node.alpha / node.count / ALPHA_WEIGHT,
+                    count: node.count
+                });
+            }
+            return;
+        }
+        node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+
+    return clusters;
+}
+
+function squaredDistance(lab, offset, centroid) {
+    const dl = lab[offset] - centroid[0];
+    const da = lab[offset + 1] - centroid[1];
+    const db = lab[offset + 2] - centroid[2];
+    const dAlpha = lab[offset + 3] - centroid[3];
+    return dl * dl + da * da + db * db + dAlpha * dAlpha;
+}
+
+// mulberry32
+function seededRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,360 @@
+// Palette exporters shared by the Color Extractor and Scheme Generator.
+// Each exporter turns a list of { name, hex } colors into file content: a
+// string, an ArrayBuffer, a Blob, or a Promise of one of those. Registering a
+// new exporter is enough for it to show up in both tabs' export buttons.
+// Depends on color-convert.js.
+
+const EXPORTERS = {};
+
+function registerExporter(id, exporter) {
+    EXPORTERS[id] = Object.assign({ mimeType: 'text/plain' }, exporter);
+}
+
+function getExportFilename(exporter, base) {
+    return exporter.filename ? exporter.filename(base) : `${base}.${exporter.extension}`;
+}
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'color';
+}
+
+// Sass variables and Android resource names can't start with a digit, so
+// tonal steps like "500" become "color-500" (or "color_500")
+function slugifyIdentifier(name, separator = '-') {
+    const slug = slugify(name);
+    return (/^\d/.test(slug) ? `color-${slug}` : slug).replace(/-/g, separator);
+}
+
+registerExporter('css', {
+    label: 'CSS',
+    extension: 'css',
+    build: colors => `:root {\n${colors.map(c => `  --${slugify(c.name)}: ${c.hex};`).join('\n')}\n}`
+});
+
+registerExporter('scss', {
+    label: 'SCSS',
+    extension: 'scss',
+    build: colors => colors.map(c => `$${slugifyIdentifier(c.name)}: ${c.hex};`).join('\n')
+});
+
+// Extracted palettes are a flat array of hex values, schemes keep their names
+registerExporter('json', {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    build: (colors, meta) => JSON.stringify(
+        meta.kind === 'scheme' ? colors.map(c => ({ name: c.name, hex: c.hex })) : colors.map(c => c.hex),
+        null, 2
+    )
+});
+
+registerExporter('tailwind', {
+    label: 'Tailwind',
+    filename: base => `${base}.tailwind.config.js`,
+    mimeType: 'text/javascript',
+    build: colors => [
+        'module.exports = {',
+        '  theme: {',
+        '    extend: {',
+        '      colors: {',
+        colors.map(c => `        '${slugify(c.name)}': '${c.hex}',`).join('\n'),
+        '      }',
+        '    }',
+        '  }',
+        '};'
+    ].join('\n')
+});
+
+// W3C Design Tokens Community Group format
+registerExporter('tokens', {
+    label: 'Design Tokens',
+    filename: base => `${base}.tokens.json`,
+    mimeType: 'application/json',
+    build: (colors, meta) => {
+        const group = { $type: 'color' };
+        colors.forEach(c => {
+            group[slugify(c.name)] = { $value: c.hex };
+        });
+        return JSON.stringify({ [meta.name]: group }, null, 2);
+    }
+});
+
+// Adobe Swatch Exchange: big-endian binary, one RGB color entry per swatch.
+// The format has no alpha, so translucent colors are written opaque.
+registerExporter('ase', {
+    label: 'ASE',
+    extension: 'ase',
+    mimeType: 'application/octet-stream',
+    build: colors => {
+        const blocks = colors.map(c => {
+            const name = String(c.name);
+            const length = 2 + (name.length + 1) * 2 + 4 + 12 + 2;
+            return { name, rgb: hexToRgb(c.hex), length };
+        });
+        const size = 12 + blocks.reduce((sum, b) => sum + 6 + b.length, 0);
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+
+        const writeAscii = text => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+        };
+
+        writeAscii('ASEF');
+        view.setUint16(offset, 1); offset += 2;
+        view.setUint16(offset, 0); offset += 2;
+        view.setUint32(offset, blocks.length); offset += 4;
+
+        blocks.forEach(block => {
+            view.setUint16(offset, 0x0001); offset += 2;
+            view.setUint32(offset, block.length); offset += 4;
+            view.setUint16(offset, block.name.length + 1); offset += 2;
+            for (let i = 0; i < block.name.length; i++) {
+                view.setUint16(offset, block.name.charCodeAt(i)); offset += 2;
+            }
+            view.setUint16(offset, 0); offset += 2;
+            writeAscii('RGB ');
+            ['r', 'g', 'b'].forEach(ch => {
+                view.setFloat32(offset, block.rgb[ch] / 255); offset += 4;
+            });
+            view.setUint16(offset, 2); offset += 2; // Normal (non-global, non-spot) color
+        });
+
+        return view.buffer;
+    }
+});
+
+// GIMP / Inkscape palette (RGB only, alpha is dropped)
+registerExporter('gpl', {
+    label: 'GPL',
+    extension: 'gpl',
+    build: (colors, meta) => {
+        const lines = colors.map(c => {
+            const { r, g, b } = hexToRgb(c.hex);
+            return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${c.name}`;
+        });
+        return ['GIMP Palette', `Name: ${meta.name}`, 'Columns: 5', '#', ...lines].join('\n') + '\n';
+    }
+});
+
+registerExporter('android', {
+    label: 'Android XML',
+    filename: base => `${base}-colors.xml`,
+    mimeType: 'application/xml',
+    build: colors => [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<resources>',
+        ...colors.map(c => `    <color name="${slugifyIdentifier(c.name, '_')}">${androidColor(c.hex)}</color>`),
+        '</resources>'
+    ].join('\n') + '\n'
+});
+
+// Android color resources put alpha first (#AARRGGBB)
+function androidColor(hex) {
+    const value = hex.toUpperCase();
+    return value.length === 9 ? '#' + value.slice(7) + value.slice(1, 7) : value;
+}
+
+// An asset catalog with one .colorset folder per color, zipped
+registerExporter('ios', {
+    label: 'iOS Colorsets',
+    filename: base => `${base}.xcassets.zip`,
+    mimeType: 'application/zip',
+    build: (colors, meta) => {
+        const catalog = `${meta.name}.xcassets`;
+        const files = [{
+            path: `${catalog}/Contents.json`,
+            content: JSON.stringify({ info: { author: 'xcode', version: 1 } }, null, 2)
+        }];
+
+        colors.forEach(c => {
+            const { r, g, b, a } = hexToRgb(c.hex);
+            const component = v => '0x' + v.toString(16).padStart(2, '0').toUpperCase();
+            files.push({
+                path: `${catalog}/${slugify(c.name)}.colorset/Contents.json`,
+                content: JSON.stringify({
+                    colors: [{
+                        idiom: 'universal',
+                        color: {
+                            'color-space': 'srgb',
+                            components: { red: component(r), green: component(g), blue: component(b), alpha: a.toFixed(3) }
+                        }
+                    }],
+                    info: { author: 'xcode', version: 1 }
+                }, null, 2)
+            });
+        });
+
+        return createZip(files);
+    }
+});
+
+registerExporter('svg', {
+    label: 'SVG Swatches',
+    extension: 'svg',
+    mimeType: 'image/svg+xml',
+    build: colors => {
+        const layout = swatchSheetLayout(colors.length);
+        const swatches = colors.map((c, i) => {
+            const { x, y } = layout.position(i);
+            // fill-opacity is more widely supported than 8-digit hex fills
+            const alpha = hexToRgb(c.hex).a;
+            const opacity = alpha < 1 ? ` fill-opacity="${+alpha.toFixed(3)}"` : '';
+            return [
+                `  <g transform="translate(${x} ${y})">`,
+                `    <rect width="${layout.swatch}" height="${layout.swatch}" rx="8" fill="${c.hex.slice(0, 7)}"${opacity}/>`,
+                `    <text x="0" y="${layout.swatch + 20}" font-family="sans-serif" font-size="13" font-weight="bold" fill="#2d3436">${escapeXml(c.name)}</text>`,
+                `    <text x="0" y="${layout.swatch + 38}" font-family="monospace" font-size="12" fill="#6c757d">${c.hex.toUpperCase()}</text>`,
+                '  </g>'
+            ].join('\n');
+        });
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+            `  <rect width="100%" height="100%" fill="#ffffff"/>`,
+            ...swatches,
+            '</svg>'
+        ].join('\n') + '\n';
+    }
+});
+
+registerExporter('png', {
+    label: 'PNG Swatches',
+    extension: 'png',
+    mimeType: 'image/png',
+    build: colors => {
+        const layout = swatchSheetLayout(colors.length);
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        colors.forEach((c, i) => {
+            const { x, y } = layout.position(i);
+            ctx.fillStyle = c.hex;
+            ctx.beginPath();
+            ctx.roundRect ? ctx.roundRect(x, y, layout.swatch, layout.swatch, 8) : ctx.rect(x, y, layout.swatch, layout.swatch);
+            ctx.fill();
+
+            ctx.fillStyle = '#2d3436';
+            ctx.font = 'bold 13px sans-serif';
+            ctx.fillText(c.name, x, y + layout.swatch + 20, layout.swatch);
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px monospace';
+            ctx.fillText(c.hex.toUpperCase(), x, y + layout.swatch + 38);
+        });
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+});
+
+// Theme stylesheet for the Previewer's palette roles: one rule per
+// { selector, variables, media } block, variables being { '--name': value }
+// and `media` an optional @media condition to nest the rule in
+function buildThemeCss(blocks) {
+    const rules = blocks.map(({ selector, variables, media }) => {
+        const rule = [
+            `${selector} {`,
+            ...Object.entries(variables).map(([name, value]) => `    ${name}: ${value};`),
+            '}'
+        ];
+        return media
+            ? [`@media ${media} {`, ...rule.map(line => '    ' + line), '}'].join('\n')
+            : rule.join('\n');
+    });
+    return ['/* Generated by Color Palette Generator */', ...rules].join('\n\n') + '\n';
+}
+
+function swatchSheetLayout(count) {
+    const swatch = 120;
+    const gap = 20;
+    const labelHeight = 50;
+    const columns = Math.min(5, Math.max(1, count));
+    const rows = Math.ceil(count / columns);
+
+    return {
+        swatch,
+        width: gap + columns * (swatch + gap),
+        height: gap + rows * (swatch + labelHeight + gap),
+        position: i => ({
+            x: gap + (i % columns) * (swatch + gap),
+            y: gap + Math.floor(i / columns) * (swatch + labelHeight + gap)
+        })
+    };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;'
+    })[ch]);
+}
+
+// Minimal uncompressed ("stored") ZIP writer
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => ({
+        name: encoder.encode(file.path),
+        data: typeof file.content === 'string' ? encoder.encode(file.content) : new Uint8Array(file.content)
+    }));
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const buffer = new ArrayBuffer(localSize + centralSize + 22);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let offset = 0;
+
+    entries.forEach(e => {
+        e.crc = crc32(e.data);
+        e.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 12, 0x21, true); // 1980-01-01
+        view.setUint32(offset + 14, e.crc, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint32(offset + 22, e.data.length, true);
+        view.setUint16(offset + 26, e.name.length, true);
+        bytes.set(e.name, offset + 30);
+        bytes.set(e.data, offset + 30 + e.name.length);
+        offset += 30 + e.name.length + e.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(e => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 14, 0x21, true);
+        view.setUint32(offset + 16, e.crc, true);
+        view.setUint32(offset + 20, e.data.length, true);
+        view.setUint32(offset + 24, e.data.length, true);
+        view.setUint16(offset + 28, e.name.length, true);
+        view.setUint32(offset + 42, e.offset, true);
+        bytes.set(e.name, offset + 46);
+        offset += 46 + e.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return buffer;
+}
+
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc ^= data[i];
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,30 @@
+// Runs palette extraction off the UI thread.
+// Receives either an ImageBitmap (drawn here on an OffscreenCanvas) or a
+// transferred ImageData, and answers with progress, result or error messages
+// tagged with the job id it was given.
+importScripts('color-convert.js', 'color-quantize.js');
+
+self.onmessage = (e) => {
+    const { id, bitmap, imageData, options } = e.data;
+
+    try {
+        const data = bitmap ? readBitmap(bitmap, options.maxPixels) : imageData.data;
+        const colors = quantizePixels(data, Object.assign({}, options, {
+            onProgress: value => self.postMessage({ id, type: 'progress', value })
+        }));
+        self.postMessage({ id, type: 'result', colors });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
+
+function readBitmap(bitmap, maxPixels) {
+    const size = fitPixelBudget(bitmap.width, bitmap.height, maxPixels || DEFAULT_QUANTIZE_OPTIONS.maxPixels);
+    const canvas = new OffscreenCanvas(size.width, size.height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+    bitmap.close();
+
+    return ctx.getImageData(0, 0, size.width, size.height).data;
+}
@@ -0,0 +1,258 @@
+// Palette importers, the counterpart of exporters.js.
+// Each importer parses file content into { colors, errors }: colors are
+// { name, hex } and errors are { line, text, reason } for anything that looked
+// like a color entry but could not be read. Depends on color-convert.js.
+
+const IMPORTERS = {};
+
+function registerImporter(id, importer) {
+    IMPORTERS[id] = Object.assign({ binary: false }, importer);
+}
+
+// Pick an importer by file extension, falling back to sniffing the content
+async function importPaletteFile(file) {
+    const name = file.name.toLowerCase();
+    let importer = Object.values(IMPORTERS).find(imp => imp.extensions.some(ext => name.endsWith(ext)));
+
+    if (!importer) {
+        const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        importer = String.fromCharCode(...head) === 'ASEF' ? IMPORTERS.ase : IMPORTERS.css;
+    }
+
+    const content = importer.binary ? await file.arrayBuffer() : await file.text();
+    const result = importer.parse(content);
+    result.colors = result.colors.map((c, i) => ({ name: cleanColorName(c.name, `Color ${i + 1}`), hex: c.hex }));
+    return result;
+}
+
+// Longest color name kept from files and links
+const MAX_COLOR_NAME_LENGTH = 100;
+
+// Color names from files and links: trimmed text without control characters,
+// or `fallback` when there is nothing usable
+function cleanColorName(value, fallback) {
+    if (typeof value !== 'string' && typeof value !== 'number') return fallback;
+    const name = String(value).replace(/[\u0000-\u001f\u007f-\u009f]/g, '').trim().slice(0, MAX_COLOR_NAME_LENGTH);
+    return name || fallback;
+}
+
+// Accepts anything parseColor() understands; returns a lowercase #rrggbb
+// (#rrggbbaa when translucent) or null
+function parseColorValue(value) {
+    const rgb = parseColor(value);
+    return rgb ? rgbToHex(rgb.r, rgb.g, rgb.b, rgb.a) : null;
+}
+
+// "medium-dark" -> "Medium Dark", so exported scheme names survive a round trip
+function unslugify(name) {
+    return String(name)
+        .split(/[-_\s]+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Shared parser for line-based formats: `pattern` captures (name, value),
+// and `normalize` can rewrite a format-specific value before it is parsed
+function parseDeclarations(text, pattern, isNoise, normalize = value => value) {
+    const colors = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || isNoise(line)) return;
+
+        const m = line.match(pattern);
+        const hex = m && parseColorValue(normalize(m[2].trim()));
+        if (hex) {
+            colors.push({ name: unslugify(m[1]), hex });
+        } else {
+            errors.push({ line: i + 1, text: line, reason: m ? 'Unsupported color value' : 'Not a color declaration' });
+        }
+    });
+
+    return { colors, errors };
+}
+
+const isCommentLine = line => /^(\/\/|\/\*|\*)/.test(line);
+
+registerImporter('css', {
+    label: 'CSS',
+    extensions: ['.css'],
+    parse: text => parseDeclarations(
+        text,
+        /^--([\w-]+)\s*:\s*([^;]+);?$/,
+        line => isCommentLine(line) || line.endsWith('{') || line === '}'
+    )
+});
+
+registerImporter('scss', {
+    label: 'SCSS',
+    extensions: ['.scss', '.sass'],
+    parse: text => parseDeclarations(
+        text,
+        /^\$([\w-]+)\s*:\s*([^;]+?)(?:\s*!default)?;?$/,
+        isCommentLine
+    )
+});
+
+registerImporter('tailwind', {
+    label: 'Tailwind',
+    extensions: ['.tailwind.config.js', 'tailwind.config.js'],
+    parse: text => parseDeclarations(
+        text,
+        /^['"]?([\w-]+)['"]?\s*:\s*['"]([^'"]+)['"],?$/,
+        line => isCommentLine(line) || !/['"](#|[a-z]+\()/.test(line)
+    )
+});
+
+registerImporter('android', {
+    label: 'Android XML',
+    extensions: ['.xml'],
+    parse: text => parseDeclarations(
+        text,
+        /^<color\s+name="([^"]+)"\s*>([^<]+)<\/color>$/,
+        line => !line.startsWith('<color'),
+        // Android puts alpha first: #AARRGGBB
+        value => value.replace(/^#([0-9a-f]{2})([0-9a-f]{6})$/i, '#$2$1')
+    )
+});
+
+// Flat hex arrays, { name, hex } arrays (our two JSON flavours) and DTCG tokens
+registerImporter('json', {
+    label: 'JSON',
+    extensions: ['.json'],
+    parse: text => {
+        const colors = [];
+        const errors = [];
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            return { colors, errors: [{ line: 1, text: text.slice(0, 80), reason: 'Invalid JSON: ' + err.message }] };
+        }
+
+        const addColor = (name, value, location) => {
+            const hex = parseColorValue(value);
+            if (hex) {
+                colors.push({ name, hex });
+            } else {
+                errors.push({ line: location, text: JSON.stringify(value), reason: 'Unsupported color value' });
+            }
+        };
+
+        if (Array.isArray(data)) {
+            data.forEach((item, i) => {
+                if (typeof item === 'string') {
+                    addColor(`Color ${i + 1}`, item, `item ${i + 1}`);
+                } else if (item && typeof item === 'object') {
+                    addColor(cleanColorName(item.name, `Color ${i + 1}`), item.hex || item.value, `item ${i + 1}`);
+                } else {
+                    errors.push({ line: `item ${i + 1}`, text: JSON.stringify(item), reason: 'Not a color' });
+                }
+            });
+        } else {
+            const walk = (node, path) => {
+                Object.entries(node).forEach(([key, value]) => {
+                    if (key.startsWith('$') || !value || typeof value !== 'object') return;
+                    if ('$value' in value) {
+                        addColor(unslugify(key), value.$value, path.concat(key).join('.'));
+                    } else {
+                        walk(value, path.concat(key));
+                    }
+                });
+            };
+            walk(data, []);
+        }
+
+        return { colors, errors };
+    }
+});
+
+registerImporter('gpl', {
+    label: 'GPL',
+    extensions: ['.gpl'],
+    parse: text => {
+        const colors = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#') || line === 'GIMP Palette' || /^(Name|Columns):/.test(line)) return;
+
+            const m = line.match(/^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+            const channels = m ? m.slice(1, 4).map(Number) : null;
+            if (channels && channels.every(v => v <= 255)) {
+                colors.push({ name: cleanColorName(m[4], `Color ${colors.length + 1}`), hex: rgbToHex(...channels) });
+            } else {
+                errors.push({ line: i + 1, text: line, reason: 'Expected "R G B name"' });
+            }
+        });
+
+        return { colors, errors };
+    }
+});
+
+// Adobe Swatch Exchange. Group blocks are skipped; RGB, CMYK, LAB and Gray
+// entries are converted to sRGB.
+registerImporter('ase', {
+    label: 'ASE',
+    extensions: ['.ase'],
+    binary: true,
+    parse: buffer => {
+        const colors = [];
+        const errors = [];
+        const view = new DataView(buffer);
+
+        if (buffer.byteLength < 12 || view.getUint32(0) !== 0x41534546) {
+            return { colors, errors: [{ line: 1, text: '', reason: 'Not an Adobe Swatch Exchange file' }] };
+        }
+
+        const blockCount = view.getUint32(8);
+        let offset = 12;
+
+        for (let n = 1; n <= blockCount && offset + 6 <= buffer.byteLength; n++) {
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+
+            if (type !== 0x0001) continue;
+
+            const nameLength = view.getUint16(start);
+            let rawName = '';
+            for (let i = 0; i < nameLength - 1; i++) {
+                rawName += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+            }
+            const name = cleanColorName(rawName, `Color ${colors.length + 1}`);
+
+            const modelAt = start + 2 + nameLength * 2;
+            const model = String.fromCharCode(...new Uint8Array(buffer, modelAt, 4));
+            const value = i => view.getFloat32(modelAt + 4 + i * 4);
+
+            switch (model) {
+                case 'RGB ':
+                    colors.push({ name, hex: rgbToHex(value(0) * 255, value(1) * 255, value(2) * 255) });
+                    break;
+                case 'CMYK': {
+                    const rgb = cmykToRgb(value(0) * 100, value(1) * 100, value(2) * 100, value(3) * 100);
+                    colors.push({ name, hex: rgbToHex(rgb.r, rgb.g, rgb.b) });
+                    break;
+                }
+                case 'LAB ': {
+                    const rgb = labToRgb(value(0) * 100, value(1), value(2));
+                    colors.push({ name, hex: rgbToHex(rgb.r, rgb.g, rgb.b) });
+                    break;
+                }
+                case 'Gray':
+                    colors.push({ name, hex: rgbToHex(value(0) * 255, value(0) * 255, value(0) * 255) });
+                    break;
+                default:
+                    errors.push({ line: `block ${n}`, text: name, reason: `Unsupported color model "${model.trim()}"` });
+            }
+        }
+
+        return { colors, errors };
+    }
+});
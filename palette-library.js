@@ -0,0 +1,256 @@
+/**
+ * PaletteLibrary - IndexedDB storage for saved palettes and schemes
+ *
+ * Each entry looks like:
+ * { id, name, tags, kind: 'palette' | 'scheme', colors: [{ name, hex }],
+ *   thumbnail, meta, createdAt, updatedAt }
+ *
+ * Depends on importers.js (parseColorValue, cleanColorName) to check
+ * imported colors.
+ */
+
+class PaletteLibrary {
+    /**
+     * @param {string} dbName
+     * @param {Object} options - { schemeTypes }: the scheme types a stored
+     *   `meta.schemeType` may name
+     */
+    constructor(dbName = 'color-palette-library', options = {}) {
+        this.dbName = dbName;
+        this.storeName = 'palettes';
+        this.dbPromise = null;
+        this.schemeTypes = options.schemeTypes || [];
+    }
+
+    /**
+     * Open (and on first use, create) the database
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @private
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * List saved palettes, most recently updated first
+     * @param {string} query - Optional text matched against name, tags and hex values
+     * @returns {Promise<Array>}
+     */
+    async list(query = '') {
+        const stored = await this.request('readonly', store => store.getAll());
+        const entries = stored.map(entry => this.normalizeEntry(entry)).filter(Boolean);
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return entries
+            .filter(entry => {
+                const haystack = [entry.name, ...entry.tags, ...entry.colors.map(c => c.hex)].join(' ').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get a saved palette by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const entry = await this.request('readonly', store => store.get(id));
+        return entry || null;
+    }
+
+    /**
+     * Save a new palette
+     * @param {Object} entry - { name, tags, kind, colors, thumbnail, meta }
+     * @returns {Promise<Object>} The stored entry
+     */
+    async save(entry) {
+        if (!entry.name || !entry.colors || entry.colors.length === 0) {
+            throw new Error('A name and at least one color are required');
+        }
+
+        const now = new Date().toISOString();
+        const stored = {
+            id: this.generateId(),
+            name: entry.name,
+            tags: entry.tags || [],
+            kind: entry.kind || 'palette',
+            colors: entry.colors.map(c => ({ name: c.name, hex: c.hex })),
+            thumbnail: entry.thumbnail || null,
+            meta: entry.meta || {},
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.request('readwrite', store => store.put(stored));
+        return stored;
+    }
+
+    /**
+     * Update an existing palette (e.g. rename or retag)
+     * @param {string} id
+     * @param {Object} updates
+     * @returns {Promise<Object>} The updated entry
+     */
+    async update(id, updates) {
+        const entry = await this.get(id);
+
+        if (!entry) {
+            throw new Error(`Palette with ID ${id} not found`);
+        }
+
+        Object.assign(entry, updates, { id, updatedAt: new Date().toISOString() });
+        await this.request('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    /**
+     * Delete a palette
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+        return true;
+    }
+
+    /**
+     * Serialize the whole library for sharing across machines
+     * @returns {Promise<string>} JSON text
+     */
+    async exportAll() {
+        const palettes = await this.list();
+        return JSON.stringify({ format: 'color-palette-library', version: 1, palettes }, null, 2);
+    }
+
+    /**
+     * Add palettes from an exported library file. Entries whose ID already
+     * exists are kept only if the imported copy is newer.
+     * @param {string} text - JSON produced by exportAll()
+     * @returns {Promise<number>} Number of palettes added or updated
+     */
+    async importAll(text) {
+        const data = JSON.parse(text);
+
+        if (!data || data.format !== 'color-palette-library' || !Array.isArray(data.palettes)) {
+            throw new Error('Not a palette library file');
+        }
+
+        const existing = new Map((await this.list()).map(e => [e.id, e]));
+        const incoming = data.palettes
+            .map(e => this.normalizeEntry(e))
+            .filter(e => {
+                if (!e) return false;
+                const current = existing.get(e.id);
+                return !current || current.updatedAt < e.updatedAt;
+            });
+
+        await this.request('readwrite', store => {
+            incoming.forEach(e => store.put(e));
+        });
+        return incoming.length;
+    }
+
+    /**
+     * Check an entry from a library file (or an older database) and coerce its
+     * fields to the stored shape. Colors that don't parse are dropped, and so
+     * is the entry if it has no ID, name or usable colors. Only data: image
+     * thumbnails, known scheme types and valid base colors are kept.
+     * @private
+     * @returns {Object|null}
+     */
+    normalizeEntry(entry) {
+        if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id) {
+            return null;
+        }
+
+        const name = cleanColorName(entry.name, '');
+        const colors = (Array.isArray(entry.colors) ? entry.colors : [])
+            .map((c, i) => {
+                const hex = c && typeof c.hex === 'string' ? parseColorValue(c.hex) : null;
+                return hex ? { name: cleanColorName(c.name, `Color ${i + 1}`), hex } : null;
+            })
+            .filter(Boolean);
+
+        if (!name || colors.length === 0) {
+            return null;
+        }
+
+        const toDate = (value, fallback) => {
+            const time = typeof value === 'string' ? Date.parse(value) : NaN;
+            return isNaN(time) ? fallback : new Date(time).toISOString();
+        };
+        const updatedAt = toDate(entry.updatedAt, new Date(0).toISOString());
+
+        return {
+            id: entry.id,
+            name,
+            tags: Array.isArray(entry.tags) ? entry.tags.filter(t => typeof t === 'string') : [],
+            kind: entry.kind === 'scheme' ? 'scheme' : 'palette',
+            colors,
+            thumbnail: typeof entry.thumbnail === 'string' && entry.thumbnail.startsWith('data:image/') ? entry.thumbnail : null,
+            meta: this.normalizeMeta(entry.meta),
+            createdAt: toDate(entry.createdAt, updatedAt),
+            updatedAt
+        };
+    }
+
+    /**
+     * Keep only the scheme settings the generator can restore
+     * @private
+     */
+    normalizeMeta(meta) {
+        const normalized = {};
+        if (!meta || typeof meta !== 'object') {
+            return normalized;
+        }
+
+        if (this.schemeTypes.includes(meta.schemeType)) {
+            normalized.schemeType = meta.schemeType;
+        }
+        const baseColor = typeof meta.baseColor === 'string' ? parseColorValue(meta.baseColor) : null;
+        if (baseColor) {
+            normalized.baseColor = baseColor.slice(0, 7);
+        }
+        return normalized;
+    }
+
+    /**
+     * Generate unique palette ID
+     * @private
+     */
+    generateId() {
+        return `palette_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    }
+}